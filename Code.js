@@ -382,9 +382,12 @@ function getCurrencyFormat(symbol, showDecimals = false) {
  * Enhanced setUserSettings with separate timestamp storage
  * Saves timestamp to Dontedit J8, data to Dontedit K8
  * @param {Object} settings - The settings object to save
- * @return {Object} Result with success status and timestamp
+ * @param {number} expectedRevision - Revision the client last read (see zLock.js)
+ * @return {Object} Result with success status, timestamp and the new revision
  */
-function setUserSettings(settings) {
+function setUserSettings(settings, expectedRevision) {
+  if (!acquireWriteLock_("setUserSettings")) return writeRetryResult_();
+
   try {
     const sheet = getBudgetSheet("Dontedit");
     
@@ -392,33 +395,92 @@ function setUserSettings(settings) {
       return { success: false, error: "Dontedit sheet not found" };
     }
     
+    const check = checkDatasetRevision_(sheet, "settings", expectedRevision);
+    if (check.conflict) return check.conflict;
+
     // Create timestamp
     const timestamp = new Date().toISOString();
     
     // Prepare data without timestamp (clean JSON)
     const cleanSettingsData = {
       settings: settings,
-      version: 1
+      version: 1,
+      revision: check.revision
     };
     
+    const previous = readAuditJsonCell_(sheet, "K8");
+
     // Save timestamp to J8, data to K8
     sheet.getRange("J8").setValue(timestamp);
     sheet.getRange("K8").setValue(JSON.stringify(cleanSettingsData));
+
+    const changes = diffAuditObjects_(previous && previous.settings, settings);
+    if (changes) {
+      logAudit_("setUserSettings", "settings", Object.keys(changes.after), changes.before, changes.after);
+    }
+
+    scheduleSettingsTriggers_(settings, previous && previous.settings);
     
     // Cache handled by CacheManager on frontend
     // Server-side doesn't cache in properties
     
     return { 
       success: true, 
-      timestamp: timestamp 
+      timestamp: timestamp,
+      revision: check.revision
     };
     
   } catch (error) {
     Logger.log("Error in setUserSettings: " + error.toString());
     return { success: false, error: error.toString() };
+  } finally {
+    releaseWriteLock_();
   }
 }
 
+/**
+ * Install or remove the time-driven triggers for the settings that changed:
+ * the digest and reminder emails and the recurring ledger
+ * (see zAlerts.js, zReminders.js, zRecurringLedger.js)
+ * @param {Object} settings - Settings just saved
+ * @param {Object} previousSettings - Settings they replaced, if any
+ */
+function scheduleSettingsTriggers_(settings, previousSettings) {
+  previousSettings = previousSettings || {};
+  if (settings && settings.alertDigest !== undefined && settings.alertDigest !== previousSettings.alertDigest) {
+    try {
+      scheduleAlertDigest_(settings.alertDigest);
+    } catch (e) {
+      Logger.log("Error scheduling alert digest: " + e.toString());
+    }
+  }
+  if (settings && settings.billReminderDays !== undefined && settings.billReminderDays !== previousSettings.billReminderDays) {
+    try {
+      scheduleBillReminders_(settings.billReminderDays);
+    } catch (e) {
+      Logger.log("Error scheduling bill reminders: " + e.toString());
+    }
+  }
+  if (settings && settings.materializeRecurring !== undefined &&
+      !!settings.materializeRecurring !== !!previousSettings.materializeRecurring) {
+    try {
+      scheduleRecurringMaterialization_(!!settings.materializeRecurring);
+    } catch (e) {
+      Logger.log("Error scheduling recurring transactions: " + e.toString());
+    }
+  }
+}
+
+/**
+ * Remove the current user's triggers that run the given function
+ * @param {string} handler - Function name the triggers call
+ */
+function deleteProjectTriggers_(handler) {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === handler)
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+}
+
 /**
  * Update last active timestamp in Dontedit D8
  * @return {Object} Success response or error
@@ -484,7 +546,8 @@ function getUserSettings(useCache = true) {
       
       return { 
         success: true, 
-        settings: emptySettings.settings
+        settings: emptySettings.settings,
+        revision: 0
       };
     }
     
@@ -506,7 +569,8 @@ function getUserSettings(useCache = true) {
     
     return {
       success: true,
-      settings: settingsData.settings || settingsData
+      settings: settingsData.settings || settingsData,
+      revision: parseInt(settingsData.revision, 10) || 0
     };
     
   } catch (error) {
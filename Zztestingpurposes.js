@@ -83,3 +83,43 @@ function updateDataTimestamp(dataType) {
   }
 }
 
+
+
+/**
+ * Manual check of the alert digest email - run from the Apps Script editor
+ * Sends through a stub mailer instead of MailApp, with one made-up pending alert
+ * kept in memory (Dontedit K11 is never written), then checks the subject, the
+ * body and that the pending alerts were cleared.
+ * @return {Object} Result with success and the failed checks
+ */
+function testAlertDigest() {
+  const sent = [];
+  const mailer = { sendEmail: message => sent.push(message) };
+  const now = new Date(2025, 6, 15, 8, 0, 0);
+  const failures = [];
+  const expect = (ok, message) => { if (!ok) failures.push(message); };
+
+  let state = {
+    notified: {},
+    pending: [{
+      month: "2025-07", categoryId: "0", category: "Digest test", threshold: 80,
+      percent: 85, spent: 85, budget: 100, at: now.toISOString()
+    }],
+    lastDigest: ""
+  };
+  const store = { read: () => JSON.parse(JSON.stringify(state)), write: next => { state = next; } };
+
+  const settings = Object.assign(getAlertSettings_(), { enabled: true, digest: "daily" });
+  const result = sendAlertDigest_(mailer, now, settings, store);
+  const mail = sent[0] || {};
+
+  expect(result.success && result.sent, "Digest was not sent: " + JSON.stringify(result));
+  expect(sent.length === 1, "Expected 1 email, got " + sent.length);
+  expect(mail.subject === "Budget alerts for 2025-07", "Subject: " + mail.subject);
+  expect((mail.body || "").indexOf("Alerts since yesterday:") === 0, "Body does not start with the alerts: " + mail.body);
+  expect((mail.body || "").indexOf("- Digest test (2025-07): reached 80% - 85.00 of 100.00") !== -1, "Alert line missing: " + mail.body);
+  expect(state.pending.length === 0, "Pending alerts were not cleared");
+
+  Logger.log(failures.length === 0 ? "testAlertDigest passed" : "testAlertDigest failed:\n" + failures.join("\n"));
+  return { success: failures.length === 0, failures: failures };
+}
@@ -3253,9 +3253,13 @@ const ENGLISH_TRANSLATIONS = {
   "start_date": "Start Date",
   "end_date": "End Date",
   "source": "Source",
+  "weekly": "Weekly",
+  "bi_weekly": "Bi-weekly",
+  "semi_monthly": "Semi-monthly",
   "monthly": "Monthly",
   "quarterly": "Quarterly", 
   "yearly": "Yearly",
+  "custom_interval": "Custom interval",
   "select_account": "Select Account",
   "income_name_placeholder": "Income name",
   "income_source_placeholder": "Income source",
@@ -3315,6 +3319,28 @@ const ENGLISH_TRANSLATIONS = {
   "previous_year": "Previous year",
   "next_year": "Next year",
   "analytics": "Analytics",
+  "import_statement": "Import bank statement",
+  "categorization_rules": "Categorization Rules",
+  "backup_restore": "Backup & Restore",
+  "search": "Search",
+  "trash": "Trash",
+  "activity": "Activity",
+  "payees": "Payees",
+  "tags": "Tags",
+  "filter_by_tag": "Filter by tag",
+  "tags_placeholder": "Tags (#vacation)",
+  "keep_deleted_items": "Keep deleted items for",
+  "spending_alerts": "Spending Alerts",
+  "enable_alerts": "Budget alerts",
+  "alert_thresholds": "Warn at (% of budget)",
+  "alert_digest": "Email digest",
+  "bill_reminders": "Bill Reminders",
+  "remind_me": "Remind me",
+  "record_recurring": "Add fixed payments to transactions",
+  "exclude_reimbursed": "Leave paid-back expenses out of Dashboard totals",
+  "owed_to_you": "Owed to You",
+  "reimbursable": "Reimbursable",
+  "add_category": "Add category",
   "click_edit_month_year": "Click to edit month/year",
   "click_edit_year": "Click to edit year",
 
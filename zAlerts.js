@@ -0,0 +1,388 @@
+/**
+ * Spending alerts for Simplify Budget
+ * Each category warns when its spending reaches a share of the month's budget.
+ * Thresholds are percentages from the settings (Dontedit K8):
+ *   alertThresholds         - default for every category, e.g. [80, 100]
+ *   categoryAlertThresholds - per category, keyed by category order like budgets:
+ *                             { "3": [50, 90] }, [] turns alerts off for it
+ *   alertDigest             - "off", "daily" or "weekly" email digest
+ * The enableAlerts setting turns all of this off.
+ *
+ * Thresholds are checked whenever expenses are saved; saves return the ones
+ * reached for the first time as `alerts`, shown in the app by Init.
+ * Alert state lives as JSON in Dontedit K11:
+ * {
+ *   notified: { "2025-06": { "3": 80 } },   // highest threshold alerted per month and category
+ *   pending: [alert, ...],                  // alerts not yet sent in a digest
+ *   lastDigest: "2025-06-02T08:00:00.000Z"
+ * }
+ */
+
+const ALERTS_CELL = "K11";
+const ALERT_DEFAULT_THRESHOLDS = [80, 100];
+const ALERT_DIGEST_HANDLER = "runAlertDigest";
+const ALERT_DIGEST_HOUR = 8;
+const ALERT_MONTHS_KEPT = 3;
+const ALERT_PENDING_MAX = 200;
+
+/**
+ * Check category thresholds for the months of just-saved expenses
+ * Call after releasing the save's write lock: reading the mirror is slow, so only
+ * the alert state update takes the lock (see zLock.js).
+ * Never throws: a failed check must not fail the save it belongs to.
+ * @param {Array} dates - Dates of the saved expenses (Date or date string)
+ * @return {Array} Alerts reached for the first time
+ *   [{month, categoryId, category, threshold, percent, spent, budget, at}]
+ */
+function checkCategoryAlerts_(dates) {
+  try {
+    const settings = getAlertSettings_();
+    if (!settings.enabled) return [];
+
+    const months = [];
+    (dates || []).forEach(value => {
+      const key = alertMonthOf_(value);
+      if (key && months.indexOf(key) === -1) months.push(key);
+    });
+    if (months.length === 0) return [];
+
+    // The Dontedit mirror is formula based; make sure it shows the rows just written
+    SpreadsheetApp.flush();
+
+    const sheet = getBudgetSheet("Dontedit");
+    const statuses = getCategoryAlertStatus_(sheet, months, settings);
+    return updateAlertState_(sheet, statuses);
+  } catch (error) {
+    Logger.log("Error in checkCategoryAlerts_: " + error.toString());
+    return [];
+  }
+}
+
+/**
+ * Record the thresholds reached and queue the new alerts for the digest
+ * @param {Sheet} sheet - Dontedit sheet
+ * @param {Array} statuses - From getCategoryAlertStatus_
+ * @return {Array} Alerts reached for the first time
+ */
+function updateAlertState_(sheet, statuses) {
+  if (!acquireWriteLock_("checkCategoryAlerts_")) return [];
+
+  try {
+    const state = readAlertState_(sheet);
+    const at = new Date().toISOString();
+    const alerts = [];
+    let changed = false;
+
+    statuses.forEach(status => {
+      const notified = state.notified[status.month] || {};
+      const previous = notified[status.categoryId] || 0;
+      if (status.reached === previous) return;
+
+      if (status.reached > previous) {
+        alerts.push({
+          month: status.month,
+          categoryId: status.categoryId,
+          category: status.category,
+          threshold: status.reached,
+          percent: status.percent,
+          spent: status.spent,
+          budget: status.budget,
+          at: at
+        });
+      }
+
+      // When spending went down (edit or delete) the mark is lowered, so the threshold can alert again
+      notified[status.categoryId] = status.reached;
+      state.notified[status.month] = notified;
+      changed = true;
+    });
+
+    if (changed) {
+      state.pending = state.pending.concat(alerts);
+      writeAlertState_(sheet, state);
+    }
+
+    return alerts;
+  } finally {
+    releaseWriteLock_();
+  }
+}
+
+/**
+ * Trigger handler for the alert digest email (installed by scheduleAlertDigest_)
+ * @return {Object} Result of sendAlertDigest_
+ */
+function runAlertDigest() {
+  return sendAlertDigest_(MailApp);
+}
+
+/**
+ * Email the alerts reached since the last digest, with this month's categories
+ * that are past their first threshold
+ * Nothing is sent when there is nothing to report or alerts are turned off.
+ * @param {Object} mailer - MailApp, or any object with sendEmail({to, subject, body})
+ *   so the digest can run without sending mail
+ * @param {Date} now - Optional current time
+ * @param {Object} settings - Optional alert settings as getAlertSettings_ returns them
+ *   (testAlertDigest turns the digest on without saving the user's settings)
+ * @param {Object} store - Optional {read(), write(state)} for the alert state instead
+ *   of Dontedit K11, so testAlertDigest leaves the real state alone
+ * @return {Object} Result with sent flag, recipient and the number of alerts
+ */
+function sendAlertDigest_(mailer, now, settings, store) {
+  if (!acquireWriteLock_("sendAlertDigest_")) return writeRetryResult_();
+
+  try {
+    now = now || new Date();
+    settings = settings || getAlertSettings_();
+    if (!settings.enabled || settings.digest === "off") {
+      return { success: true, sent: false, reason: "Alert digest is turned off" };
+    }
+
+    const sheet = getBudgetSheet("Dontedit");
+    store = store || { read: () => readAlertState_(sheet), write: state => writeAlertState_(sheet, state) };
+    const state = store.read();
+    const month = alertMonthKey_(now);
+    const watch = getCategoryAlertStatus_(sheet, [month], settings).filter(s => s.reached > 0);
+
+    if (state.pending.length === 0 && watch.length === 0) {
+      return { success: true, sent: false, reason: "Nothing to report" };
+    }
+
+    const recipient = Session.getEffectiveUser().getEmail();
+    if (!recipient) {
+      return { success: false, error: "No email address to send the digest to" };
+    }
+
+    const format = amount => (Math.round(amount * 100) / 100).toFixed(2);
+    const lines = [];
+
+    if (state.pending.length > 0) {
+      lines.push(settings.digest === "weekly" ? "Alerts this week:" : "Alerts since yesterday:");
+      state.pending.forEach(alert => {
+        lines.push(`- ${alert.category} (${alert.month}): reached ${alert.threshold}% ` +
+          `- ${format(alert.spent)} of ${format(alert.budget)}`);
+      });
+      lines.push("");
+    }
+
+    if (watch.length > 0) {
+      lines.push(`Categories to watch in ${month}:`);
+      watch.sort((a, b) => b.percent - a.percent).forEach(status => {
+        lines.push(`- ${status.category}: ${status.percent}% of budget ` +
+          `(${format(status.spent)} of ${format(status.budget)})`);
+      });
+      lines.push("");
+    }
+
+    lines.push("You get this email because the budget alert digest is on in Simplify Budget settings.");
+
+    mailer.sendEmail({
+      to: recipient,
+      subject: `Budget alerts for ${month}`,
+      body: lines.join("\n")
+    });
+
+    const sentAlerts = state.pending.length;
+    state.pending = [];
+    state.lastDigest = now.toISOString();
+    store.write(state);
+
+    return { success: true, sent: true, recipient: recipient, alerts: sentAlerts };
+  } catch (error) {
+    Logger.log("Error in sendAlertDigest_: " + error.toString());
+    return { success: false, error: error.toString() };
+  } finally {
+    releaseWriteLock_();
+  }
+}
+
+/**
+ * Install the time-driven trigger for the alert digest, replacing any earlier one
+ * Triggers belong to the user who saves the setting, so the digest runs with
+ * their access to the budget and is sent to them.
+ * @param {string} frequency - "off", "daily" or "weekly"
+ */
+function scheduleAlertDigest_(frequency) {
+  deleteProjectTriggers_(ALERT_DIGEST_HANDLER);
+
+  const clock = ScriptApp.newTrigger(ALERT_DIGEST_HANDLER).timeBased();
+  if (frequency === "daily") {
+    clock.everyDays(1).atHour(ALERT_DIGEST_HOUR).create();
+  } else if (frequency === "weekly") {
+    clock.everyWeeks(1).onWeekDay(ScriptApp.WeekDay.MONDAY).atHour(ALERT_DIGEST_HOUR).create();
+  }
+
+  Logger.log(`Alert digest schedule set to ${frequency || "off"}`);
+}
+
+/**
+ * Spending against budget for every budgeted category in the given months
+ * @param {Sheet} sheet - Dontedit sheet
+ * @param {Array} months - Month keys ("yyyy-MM")
+ * @param {Object} settings - From getAlertSettings_
+ * @return {Array} [{month, categoryId, category, spent, budget, percent, reached}],
+ *   reached being the highest threshold at or below percent (0 for none)
+ */
+function getCategoryAlertStatus_(sheet, months, settings) {
+  let budgetData = {};
+  try {
+    budgetData = JSON.parse(sheet.getRange("K10").getValue() || "{}");
+  } catch (e) {
+    Logger.log("Invalid JSON in budget data cell K10: " + e.toString());
+  }
+  const budgets = budgetData.budgets || {};
+
+  const categories = getCategoriesWithTimestamp();
+  if (!categories.success) return [];
+
+  // Spending per month per category name (lower case), from the mirror
+  // (FW date, FX category, FZ amount, GB ID)
+  const spent = {};
+  months.forEach(month => spent[month] = {});
+  const startRow = 5;
+  const lastRow = sheet.getLastRow();
+  if (lastRow >= startRow) {
+    const rows = sheet.getRange(`FW${startRow}:GB${lastRow}`).getValues();
+    const occurrences = collectRecurringOccurrenceIds_(rows.map(row => row[5]));
+    rows.forEach(row => {
+      const date = row[0] instanceof Date ? row[0] : new Date(row[0]);
+      const amount = parseFloat(row[3]);
+      if (!row[1] || isNaN(date.getTime()) || isNaN(amount) || amount <= 0) return;
+      if (isSupersededRecurringRow_(row[5], date, occurrences)) return;
+
+      const month = spent[alertMonthKey_(date)];
+      if (!month) return;
+      const key = row[1].toString().toLowerCase();
+      month[key] = (month[key] || 0) + amount;
+    });
+  }
+
+  const statuses = [];
+  months.forEach(month => {
+    const monthBudgets = budgets[month] || {};
+    categories.categories.forEach(cat => {
+      const categoryId = cat.order.toString();
+      const budget = parseFloat(monthBudgets[categoryId]) || 0;
+      const thresholds = settings.categoryThresholds[categoryId] || settings.thresholds;
+      if (budget <= 0 || thresholds.length === 0) return;
+
+      const names = [cat.fullName.toLowerCase(), cat.name.toLowerCase()]
+        .filter((name, i, list) => list.indexOf(name) === i);
+      const total = Math.round(names.reduce((sum, name) => sum + (spent[month][name] || 0), 0) * 100) / 100;
+      const percent = Math.round(total / budget * 100);
+
+      statuses.push({
+        month: month,
+        categoryId: categoryId,
+        category: cat.fullName,
+        spent: total,
+        budget: budget,
+        percent: percent,
+        reached: thresholds.filter(t => t <= percent).reduce((max, t) => Math.max(max, t), 0)
+      });
+    });
+  });
+
+  return statuses;
+}
+
+/**
+ * Read the alert settings, with defaults filled in
+ * @return {Object} { enabled, thresholds, categoryThresholds, digest }
+ */
+function getAlertSettings_() {
+  const result = getUserSettings();
+  const settings = result.success && result.settings ? result.settings : {};
+
+  const categoryThresholds = {};
+  Object.keys(settings.categoryAlertThresholds || {}).forEach(key => {
+    categoryThresholds[key] = normalizeAlertThresholds_(settings.categoryAlertThresholds[key]);
+  });
+
+  const thresholds = normalizeAlertThresholds_(settings.alertThresholds);
+
+  return {
+    enabled: settings.enableAlerts !== false,
+    thresholds: thresholds.length > 0 ? thresholds : ALERT_DEFAULT_THRESHOLDS.slice(),
+    categoryThresholds: categoryThresholds,
+    digest: ["daily", "weekly"].indexOf(settings.alertDigest) !== -1 ? settings.alertDigest : "off"
+  };
+}
+
+/**
+ * Clean a list of percentages: whole numbers from 1 to 1000, ascending, no repeats
+ * @param {Array} values - Thresholds as saved
+ * @return {Array} Thresholds
+ */
+function normalizeAlertThresholds_(values) {
+  if (!Array.isArray(values)) return [];
+  return values
+    .map(value => Math.round(parseFloat(value)))
+    .filter((value, i, list) => value >= 1 && value <= 1000 && list.indexOf(value) === i)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Read the alert state from Dontedit K11
+ * @param {Sheet} sheet - Dontedit sheet
+ * @return {Object} { notified, pending, lastDigest }
+ */
+function readAlertState_(sheet) {
+  const state = { notified: {}, pending: [], lastDigest: "" };
+  const raw = sheet.getRange(ALERTS_CELL).getValue();
+  if (!raw) return state;
+
+  try {
+    const parsed = JSON.parse(raw.toString());
+    if (parsed && typeof parsed.notified === "object") state.notified = parsed.notified;
+    if (parsed && Array.isArray(parsed.pending)) state.pending = parsed.pending;
+    if (parsed && parsed.lastDigest) state.lastDigest = parsed.lastDigest;
+  } catch (e) {
+    Logger.log("Invalid JSON in alerts cell " + ALERTS_CELL + ": " + e.toString());
+  }
+  return state;
+}
+
+/**
+ * Write the alert state to Dontedit K11, keeping the last few months only
+ * @param {Sheet} sheet - Dontedit sheet
+ * @param {Object} state - From readAlertState_
+ */
+function writeAlertState_(sheet, state) {
+  const months = Object.keys(state.notified).sort().slice(-ALERT_MONTHS_KEPT);
+  const notified = {};
+  months.forEach(month => notified[month] = state.notified[month]);
+
+  sheet.getRange(ALERTS_CELL).setValue(JSON.stringify({
+    notified: notified,
+    pending: state.pending.slice(-ALERT_PENDING_MAX),
+    lastDigest: state.lastDigest,
+    version: 1
+  }));
+}
+
+/**
+ * Month key of an expense date as the client sends it ("MM/DD/YYYY" or ISO) or a Date
+ * @param {string|Date} value - Date
+ * @return {string} Month key, or "" when the date can't be read
+ */
+function alertMonthOf_(value) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? "" : alertMonthKey_(value);
+
+  const text = (value || "").toString();
+  const us = /^(\d{1,2})\/\d{1,2}\/(\d{4})/.exec(text);
+  if (us) return `${us[2]}-${us[1].padStart(2, "0")}`;
+
+  const iso = /^(\d{4})-(\d{2})/.exec(text);
+  return iso ? `${iso[1]}-${iso[2]}` : "";
+}
+
+/**
+ * Month key as used by budgets ("yyyy-MM")
+ * @param {Date} date - Date
+ * @return {string} Month key
+ */
+function alertMonthKey_(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+}
@@ -0,0 +1,355 @@
+/**
+ * Audit log of writes made through the app
+ * Every server function that changes the budget appends one row to the hidden
+ * "Audit Log" sheet with who made the change and what the affected data looked
+ * like before and after, so people sharing a sheet can see who changed what.
+ *
+ * Audit Log columns:
+ *   A Timestamp | B User | C Operation | D Area | E IDs | F Before (JSON) | G After (JSON)
+ *
+ * Before/After hold rows keyed by ID for the row sheets (Expenses, Income,
+ * Recurring, Net Worth) and the changed keys for the JSON settings cells.
+ * Only the newest AUDIT_MAX_ROWS entries are kept.
+ */
+
+const AUDIT_SHEET_NAME = "Audit Log";
+const AUDIT_HEADERS = ["Timestamp", "User", "Operation", "Area", "IDs", "Before", "After"];
+const AUDIT_MAX_ROWS = 20000;
+const AUDIT_CELL_LIMIT = 45000; // A cell holds at most 50,000 characters
+const AUDIT_DEFAULT_PAGE_SIZE = 50;
+
+// Field names of each row sheet in column order (sheet locations are in TRASH_SOURCES)
+const AUDIT_ROW_FIELDS = {
+  expenses: ["id", "date", "amount", "category", "name", "label", "notes", "account", "currency", "originalAmount", "fxRate", "originalName"],
+  income: ["id", "date", "amount", "name", "account", "source", "notes", "currency", "originalAmount", "fxRate"],
+  recurring: ["id", "startDate", "name", "category", "type", "frequency", "amount", "account", "endDate", "owner", "notes", "source"],
+  netWorth: ["id", "date", "asset", "type", "name", "amount", "change", "changeAmount", "notes", "currency", "originalAmount", "fxRate"]
+};
+
+/**
+ * Get audit entries, newest first
+ * @param {Object} filter - Optional:
+ *   user, operation, area - Exact matches
+ *   id                    - Part of an affected ID
+ *   startDate, endDate    - yyyy-MM-dd (inclusive)
+ *   page, pageSize        - 1-based page (pageSize default 50, max 200)
+ * @return {Object} Result with entries, paging, and the users, operations and
+ *   areas present in the log (for filter menus)
+ */
+function getAuditLog(filter) {
+  try {
+    filter = filter || {};
+    const pageSize = Math.min(Math.max(parseInt(filter.pageSize, 10) || AUDIT_DEFAULT_PAGE_SIZE, 1), 200);
+    const page = Math.max(parseInt(filter.page, 10) || 1, 1);
+    const startDate = parseQueryDate_(filter.startDate, "startDate");
+    const endDate = parseQueryDate_(filter.endDate, "endDate");
+    const endTime = endDate ? endDate.getTime() + 24 * 60 * 60 * 1000 : null;
+    const idText = (filter.id || "").toString().trim().toLowerCase();
+
+    const empty = { success: true, entries: [], total: 0, page: 1, pageSize: pageSize, totalPages: 0,
+      users: [], operations: [], areas: [] };
+
+    const sheet = getAuditSheet_(false);
+    if (!sheet || sheet.getLastRow() < 2) return empty;
+
+    // Filter on the small columns first; the JSON columns are read for the page only
+    const lastRow = sheet.getLastRow();
+    const data = sheet.getRange(2, 1, lastRow - 1, 5).getValues();
+
+    const users = {};
+    const operations = {};
+    const areas = {};
+    const matches = [];
+
+    for (let i = data.length - 1; i >= 0; i--) {
+      const row = data[i];
+      const timestamp = row[0] instanceof Date ? row[0] : new Date(row[0]);
+      const user = (row[1] || "").toString();
+      const operation = (row[2] || "").toString();
+      const area = (row[3] || "").toString();
+      const ids = (row[4] || "").toString();
+
+      if (user) users[user] = true;
+      if (operation) operations[operation] = true;
+      if (area) areas[area] = true;
+
+      if (filter.user && user !== filter.user) continue;
+      if (filter.operation && operation !== filter.operation) continue;
+      if (filter.area && area !== filter.area) continue;
+      if (idText && ids.toLowerCase().indexOf(idText) === -1) continue;
+      if (startDate && !(timestamp.getTime() >= startDate.getTime())) continue;
+      if (endTime && !(timestamp.getTime() < endTime)) continue;
+
+      matches.push({
+        row: i + 2,
+        timestamp: isNaN(timestamp.getTime()) ? "" : timestamp.toISOString(),
+        user: user,
+        operation: operation,
+        area: area,
+        ids: ids ? ids.split(",") : []
+      });
+    }
+
+    const totalPages = Math.ceil(matches.length / pageSize);
+    const entries = matches.slice((page - 1) * pageSize, page * pageSize);
+
+    if (entries.length > 0) {
+      const rows = entries.map(entry => entry.row);
+      const firstRow = Math.min.apply(null, rows);
+      const values = sheet.getRange(firstRow, 6, Math.max.apply(null, rows) - firstRow + 1, 2).getValues();
+      entries.forEach(entry => {
+        const json = values[entry.row - firstRow];
+        entry.before = parseAuditJson_(json[0]);
+        entry.after = parseAuditJson_(json[1]);
+        delete entry.row;
+      });
+    }
+
+    return {
+      success: true,
+      entries: entries,
+      total: matches.length,
+      page: page,
+      pageSize: pageSize,
+      totalPages: totalPages,
+      users: Object.keys(users).sort(),
+      operations: Object.keys(operations).sort(),
+      areas: Object.keys(areas).sort()
+    };
+  } catch (error) {
+    Logger.log("Error in getAuditLog: " + error.toString());
+    return { success: false, error: error.toString() };
+  }
+}
+
+/**
+ * Append an entry to the audit log
+ * Never throws: a failed audit write is logged and the change itself stands.
+ * @param {string} operation - Server function that made the change
+ * @param {string} area - What was changed (expenses, income, budget, settings, ...)
+ * @param {Array} ids - Affected IDs (may be empty)
+ * @param {*} before - Data before the change (null for additions)
+ * @param {*} after - Data after the change (null for deletions)
+ */
+function logAudit_(operation, area, ids, before, after) {
+  try {
+    const sheet = getAuditSheet_(true);
+    sheet.appendRow([
+      new Date(),
+      getAuditUser_(),
+      operation,
+      area,
+      (ids || []).filter(id => id !== "" && id !== null && id !== undefined).join(","),
+      auditJson_(before),
+      auditJson_(after)
+    ]);
+
+    // Trim in chunks so most writes don't pay for it
+    const excess = sheet.getLastRow() - 1 - AUDIT_MAX_ROWS;
+    if (excess >= 1000) {
+      sheet.deleteRows(2, excess);
+    }
+  } catch (error) {
+    Logger.log(`Error writing audit entry for ${operation}: ${error.toString()}`);
+  }
+}
+
+/**
+ * Log a write to a row sheet, reading the rows as they are now for "after"
+ * @param {string} operation - Server function that made the change
+ * @param {string} source - Key in TRASH_SOURCES / AUDIT_ROW_FIELDS
+ * @param {Sheet} sheet - Sheet that was written
+ * @param {Object} before - readAuditRows_ result taken before the write
+ * @param {Array} rows - Sheet rows that were written
+ */
+function logRowChanges_(operation, source, sheet, before, rows) {
+  try {
+    const after = readAuditRows_(source, sheet, rows);
+    const beforeById = {};
+    const afterById = {};
+
+    Object.keys(before || {}).forEach(row => {
+      if (before[row].id) beforeById[before[row].id] = before[row];
+    });
+    Object.keys(after).forEach(row => {
+      if (after[row].id) afterById[after[row].id] = after[row];
+    });
+
+    const ids = Object.keys(afterById).concat(Object.keys(beforeById).filter(id => !afterById[id]));
+    if (ids.length === 0) return;
+
+    logAudit_(operation, source, ids,
+      Object.keys(beforeById).length > 0 ? beforeById : null,
+      Object.keys(afterById).length > 0 ? afterById : null);
+  } catch (error) {
+    Logger.log(`Error auditing ${operation}: ${error.toString()}`);
+  }
+}
+
+/**
+ * Log deleted rows from the copies moveRowsToTrash_ made of them
+ * @param {string} operation - Server function that made the change
+ * @param {string} source - Key in TRASH_SOURCES / AUDIT_ROW_FIELDS
+ * @param {Array} trashed - moveRowsToTrash_ result
+ */
+function logRowDeletes_(operation, source, trashed) {
+  try {
+    const before = {};
+    trashed.forEach(item => { before[item.id] = auditRowObject_(source, item.cells); });
+    logAudit_(operation, source, trashed.map(item => item.id), before, null);
+  } catch (error) {
+    Logger.log(`Error auditing ${operation}: ${error.toString()}`);
+  }
+}
+
+/**
+ * Read rows of a row sheet as audit objects
+ * Reads the span from the first to the last row once.
+ * @return {Object} Sheet row number -> object (rows without an ID are left out)
+ */
+function readAuditRows_(source, sheet, rows) {
+  const config = TRASH_SOURCES[source];
+  const result = {};
+  if (!config || !rows || rows.length === 0) return result;
+
+  try {
+    const lastDataRow = sheet.getLastRow();
+    const wanted = rows.filter(row => row >= config.firstRow && row <= lastDataRow);
+    if (wanted.length === 0) return result;
+
+    const firstRow = Math.min.apply(null, wanted);
+    const values = sheet.getRange(firstRow, config.firstColumn,
+      Math.max.apply(null, wanted) - firstRow + 1, config.width).getValues();
+
+    wanted.forEach(row => {
+      const cells = values[row - firstRow];
+      if (cells[0]) result[row] = auditRowObject_(source, cells);
+    });
+  } catch (error) {
+    Logger.log(`Error reading ${source} rows for the audit log: ${error.toString()}`);
+  }
+  return result;
+}
+
+/**
+ * Turn row cells into {field: value}, leaving out empty cells and formatting dates
+ */
+function auditRowObject_(source, cells) {
+  const fields = AUDIT_ROW_FIELDS[source] || [];
+  const timeZone = Session.getScriptTimeZone();
+  const object = {};
+
+  fields.forEach((field, i) => {
+    const value = cells[i];
+    if (value === "" || value === null || value === undefined) return;
+    object[field] = value instanceof Date
+      ? Utilities.formatDate(value, timeZone, "yyyy-MM-dd")
+      : value;
+  });
+  object.id = (cells[0] || "").toString();
+  return object;
+}
+
+/**
+ * Keep only the keys whose values differ
+ * The top-level "revision" counter (zLock.js) changes on every save and is left out.
+ * @param {Object} before - Object before the change
+ * @param {Object} after - Object after the change
+ * @param {number} depth - Levels of nested objects to compare key by key
+ *   (changed nested keys are reported as "parent.key"), default 1
+ * @return {Object} {before, after} with the changed keys, or null when nothing changed
+ */
+function diffAuditObjects_(before, after, depth) {
+  const changedBefore = {};
+  const changedAfter = {};
+  let changed = false;
+
+  const isObject = value => value !== null && typeof value === "object" && !Array.isArray(value);
+
+  const compare = (a, b, prefix, levels) => {
+    a = a || {};
+    b = b || {};
+    const seen = {};
+    Object.keys(a).concat(Object.keys(b)).forEach(key => {
+      if (seen[key] || (!prefix && key === "revision")) return;
+      seen[key] = true;
+      if (JSON.stringify(a[key]) === JSON.stringify(b[key])) return;
+
+      if (levels > 1 && (isObject(a[key]) || isObject(b[key]))) {
+        compare(a[key], b[key], prefix + key + ".", levels - 1);
+        return;
+      }
+      if (key in a) changedBefore[prefix + key] = a[key];
+      if (key in b) changedAfter[prefix + key] = b[key];
+      changed = true;
+    });
+  };
+
+  compare(before, after, "", depth || 1);
+  return changed ? { before: changedBefore, after: changedAfter } : null;
+}
+
+/**
+ * Key a list of items (rules, savings goals) by ID so changes can be diffed per item
+ */
+function auditById_(items) {
+  const byId = {};
+  (items || []).forEach((item, i) => { byId[item && item.id ? item.id : i] = item; });
+  return byId;
+}
+
+/**
+ * Parse a JSON settings cell for auditing (null when empty or unreadable)
+ */
+function readAuditJsonCell_(sheet, cell) {
+  try {
+    const value = sheet.getRange(cell).getValue();
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Email of the person making the change
+ * The web app runs as the user accessing it, so this is whoever is signed in.
+ */
+function getAuditUser_() {
+  try {
+    return Session.getActiveUser().getEmail() || Session.getEffectiveUser().getEmail() || "unknown";
+  } catch (error) {
+    return "unknown";
+  }
+}
+
+/**
+ * The hidden Audit Log sheet, created on first use when create is true
+ * @return {Sheet|null} Audit sheet, or null if it doesn't exist yet
+ */
+function getAuditSheet_(create) {
+  const ss = getBudgetSheet().getParent();
+  let sheet = ss.getSheetByName(AUDIT_SHEET_NAME);
+
+  if (!sheet && create) {
+    sheet = ss.insertSheet(AUDIT_SHEET_NAME);
+    sheet.getRange(1, 1, 1, AUDIT_HEADERS.length).setValues([AUDIT_HEADERS]).setFontWeight("bold");
+    sheet.hideSheet();
+  }
+  return sheet;
+}
+
+function auditJson_(value) {
+  if (value === null || value === undefined) return "";
+  const json = JSON.stringify(value);
+  return json.length > AUDIT_CELL_LIMIT ? json.slice(0, AUDIT_CELL_LIMIT) + "…" : json;
+}
+
+// Truncated entries aren't valid JSON any more; those are returned as text
+function parseAuditJson_(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value.toString();
+  }
+}
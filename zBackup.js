@@ -0,0 +1,506 @@
+/**
+ * Full backup and restore for Simplify Budget
+ * Exports every sheet the app writes to into one versioned JSON document,
+ * and restores such a document back into the spreadsheet.
+ *
+ * Document shape:
+ * {
+ *   app: "SimplifyBudget",
+ *   version: 1,
+ *   exportedAt: "2025-07-01T10:00:00.000Z",
+ *   data: {
+ *     expenses: [...], income: [...], recurring: [...], netWorth: [...],
+ *     categories: [...],                 // Categories sheet (see zCategories.js), with each row's order
+ *     budgets: {...},                    // Dontedit K10
+ *     settings: {...},                   // Dontedit K8
+ *     netWorthGoals: [...],              // Dontedit K6
+ *     categorizationRules: [...],        // Dontedit K9
+ *     savingsGoals: [...],               // Dontedit K7
+ *     payees: {...},                     // Dontedit K14 (see zPayees.js)
+ *     reimbursements: {...},             // Dontedit K15 (see zReimbursements.js)
+ *     alerts: {...},                     // Dontedit K11 (see zAlerts.js)
+ *     reminders: {...},                  // Dontedit K12 (see zReminders.js)
+ *     recurringLedger: {...},            // Dontedit K13 (see zRecurringLedger.js)
+ *     fxRates: [...]                     // Dontedit Q6:S55 (absent in older backups)
+ *   }
+ * }
+ *
+ * Dates are stored as "M/D/YYYY" strings in the spreadsheet time zone, which is
+ * the same format the client already sends to createDateOnly. Cells that hold
+ * text instead of a real date are exported and restored unchanged.
+ * JSON sections missing from older backups are left as they are on restore.
+ */
+
+const BACKUP_APP_NAME = "SimplifyBudget";
+const BACKUP_VERSION = 1;
+
+// Row-based sheets: where the data starts and which columns map to which fields
+const BACKUP_TABLES = {
+  expenses: {
+    sheet: "Expenses",
+    startRow: 5,
+    startCol: 4, // D
+    fields: ['transactionId', 'date', 'amount', 'category', 'name', 'label', 'notes', 'account',
+      'originalCurrency', 'originalAmount', 'fxRate', 'originalName'],
+    dateFields: ['date'],
+    categoryField: 'category'
+  },
+  income: {
+    sheet: "Income",
+    startRow: 5,
+    startCol: 4, // D
+    fields: ['transactionId', 'date', 'amount', 'name', 'account', 'source', 'notes',
+      'originalCurrency', 'originalAmount', 'fxRate'],
+    dateFields: ['date']
+  },
+  recurring: {
+    sheet: "Recurring",
+    startRow: 6,
+    startCol: 3, // C
+    maxRows: 495, // saveRecurringTransaction only reads C6:N500
+    fields: ['id', 'startDate', 'name', 'category', 'type', 'frequency', 'amount', 'account', 'endDate', 'owner', 'notes', 'source'],
+    dateFields: ['startDate', 'endDate'],
+    categoryField: 'category'
+  },
+  netWorth: {
+    sheet: "Net Worth",
+    startRow: 37,
+    startCol: 3, // C
+    fields: ['id', 'date', 'asset', 'type', 'name', 'amount', 'change', 'changeAmount', 'notes',
+      'originalCurrency', 'originalAmount', 'fxRate'],
+    dateFields: ['date'],
+    monthOnly: true // dates are written as "Jul 2025"
+  }
+};
+
+// JSON cells on Dontedit, backed up as the parsed cell contents. Older backups
+// may hold a plain array where the cell now keeps an object; arrayKey names
+// the property the array goes under.
+// Alerts, reminders and the recurring ledger progress are backed up too, so a
+// restored budget doesn't send the same emails or write the same occurrences again.
+const BACKUP_JSON_CELLS = {
+  budgets: { cell: "K10" },
+  settings: { cell: "K8" },
+  netWorthGoals: { cell: "K6", arrayKey: "goals" },
+  categorizationRules: { cell: "K9", arrayKey: "rules" },
+  savingsGoals: { cell: "K7", arrayKey: "funds" },
+  payees: { cell: "K14", arrayKey: "payees" },
+  reimbursements: { cell: "K15", arrayKey: "items" },
+  alerts: { cell: "K11" },
+  reminders: { cell: "K12" },
+  recurringLedger: { cell: "K13" }
+};
+
+/**
+ * Export the whole budget as one JSON document
+ * @return {Object} Result with the backup document and row counts
+ */
+function exportBudgetBackup() {
+  try {
+    const data = readBackupData_();
+
+    return {
+      success: true,
+      backup: {
+        app: BACKUP_APP_NAME,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        data: data
+      },
+      counts: countBackupData_(data)
+    };
+  } catch (error) {
+    Logger.log("Error in exportBudgetBackup: " + error.toString());
+    return { success: false, error: error.toString() };
+  }
+}
+
+/**
+ * Restore a backup document into the spreadsheet
+ * With dryRun the sheets are left untouched and only the change report is returned.
+ * @param {Object|string} backup - Backup document (or its JSON text)
+ * @param {Object} options - { dryRun: boolean }
+ * @return {Object} Result with a per-section report of added/updated/removed rows
+ */
+function restoreBudgetBackup(backup, options) {
+  if (!acquireWriteLock_("restoreBudgetBackup")) return writeRetryResult_();
+
+  try {
+    const dryRun = !options || options.dryRun !== false;
+
+    const doc = typeof backup === 'string' ? JSON.parse(backup) : backup;
+    const validationError = validateBackupDocument_(doc);
+    if (validationError) {
+      return { success: false, error: validationError };
+    }
+
+    const current = readBackupData_();
+    const report = buildBackupReport_(current, doc.data);
+
+    if (dryRun) {
+      return {
+        success: true,
+        dryRun: true,
+        exportedAt: doc.exportedAt || '',
+        report: report
+      };
+    }
+
+    writeBackupData_(doc.data);
+    logAudit_("restoreBudgetBackup", "backup", [], null, {
+      exportedAt: doc.exportedAt || '',
+      report: report
+    });
+
+    return {
+      success: true,
+      dryRun: false,
+      exportedAt: doc.exportedAt || '',
+      report: report
+    };
+  } catch (error) {
+    Logger.log("Error in restoreBudgetBackup: " + error.toString());
+    return { success: false, error: error.toString() };
+  } finally {
+    releaseWriteLock_();
+  }
+}
+
+/**
+ * Read every backed-up section from the spreadsheet
+ * @return {Object} Backup data section
+ */
+function readBackupData_() {
+  const dontedit = getBudgetSheet("Dontedit");
+  if (!dontedit) throw new Error("Dontedit sheet not found");
+
+  const timeZone = dontedit.getParent().getSpreadsheetTimeZone();
+  const data = {};
+
+  Object.keys(BACKUP_TABLES).forEach(key => {
+    data[key] = readBackupTable_(BACKUP_TABLES[key], timeZone);
+  });
+
+  // Emptied rows (merged categories) are left out, so each category keeps its
+  // row as "order": budgets, rollover and alert thresholds are keyed by it
+  data.categories = readCategoryRows_(findCategorySheet_())
+    .map((row, order) => ({
+      active: row[0] === true,
+      fullName: row[1].toString(),
+      order: order,
+      displayOrder: row[2] === '' ? null : row[2],
+      id: row[3] === '' ? null : row[3],
+      group: row[4] ? row[4].toString() : ''
+    }))
+    .filter(category => category.fullName.trim() !== '');
+
+  Object.keys(BACKUP_JSON_CELLS).forEach(key => {
+    data[key] = readBackupJsonCell_(dontedit, BACKUP_JSON_CELLS[key].cell);
+  });
+
+  data.fxRates = getFxRatesFromDontedit_();
+
+  return data;
+}
+
+/**
+ * Read one row-based sheet into an array of plain objects
+ * Completely empty rows are skipped.
+ */
+function readBackupTable_(table, timeZone) {
+  const sheet = getBudgetSheet(table.sheet);
+  if (!sheet) throw new Error(table.sheet + " sheet not found");
+
+  const lastRow = sheet.getLastRow();
+  if (lastRow < table.startRow) return [];
+
+  const values = sheet.getRange(table.startRow, table.startCol,
+    lastRow - table.startRow + 1, table.fields.length).getValues();
+
+  const rows = [];
+  values.forEach(row => {
+    if (row.every(cell => cell === '' || cell === null)) return;
+
+    const item = {};
+    table.fields.forEach((field, i) => {
+      const value = row[i];
+      if (value instanceof Date) {
+        item[field] = Utilities.formatDate(value, timeZone, "M/d/yyyy");
+      } else {
+        item[field] = value === null ? '' : value;
+      }
+    });
+    rows.push(item);
+  });
+
+  return rows;
+}
+
+/**
+ * Parse a JSON cell on Dontedit (null when empty or invalid)
+ */
+function readBackupJsonCell_(sheet, cell) {
+  const raw = sheet.getRange(cell).getValue();
+  if (!raw || raw instanceof Date) return null;
+
+  try {
+    return JSON.parse(raw.toString());
+  } catch (e) {
+    Logger.log("Invalid JSON in " + cell + " during backup: " + e.toString());
+    return null;
+  }
+}
+
+/**
+ * Check that a document is a backup this version can restore
+ * @return {string} Error message, or '' when valid
+ */
+function validateBackupDocument_(doc) {
+  if (!doc || typeof doc !== 'object') {
+    return "Backup file is empty or not JSON";
+  }
+  if (doc.app !== BACKUP_APP_NAME) {
+    return "This file is not a Simplify Budget backup";
+  }
+  if (typeof doc.version !== 'number' || doc.version > BACKUP_VERSION) {
+    return `Unsupported backup version: ${doc.version}`;
+  }
+  if (!doc.data || typeof doc.data !== 'object') {
+    return "Backup has no data section";
+  }
+
+  const data = doc.data;
+
+  for (const key of Object.keys(BACKUP_TABLES)) {
+    const table = BACKUP_TABLES[key];
+    if (!Array.isArray(data[key])) {
+      return `Backup section "${key}" must be a list`;
+    }
+    if (table.maxRows && data[key].length > table.maxRows) {
+      return `Backup section "${key}" has ${data[key].length} rows (max ${table.maxRows})`;
+    }
+    for (let i = 0; i < data[key].length; i++) {
+      const row = data[key][i];
+      if (!row || typeof row !== 'object') {
+        return `Backup section "${key}" row ${i + 1} is not an object`;
+      }
+      const amount = row.amount;
+      if (amount !== '' && amount !== undefined && isNaN(parseFloat(amount))) {
+        return `Backup section "${key}" row ${i + 1} has an invalid amount`;
+      }
+    }
+  }
+
+  if (!Array.isArray(data.categories)) {
+    return 'Backup section "categories" must be a list';
+  }
+  const orders = {};
+  for (let i = 0; i < data.categories.length; i++) {
+    const category = data.categories[i];
+    if (!category || !category.fullName) {
+      return `Category ${i + 1} has no name`;
+    }
+    if (category.order === undefined) continue;
+    if (!Number.isInteger(category.order) || category.order < 0 || orders[category.order]) {
+      return `Category ${i + 1} has an invalid or duplicate order`;
+    }
+    orders[category.order] = true;
+  }
+
+  if (data.fxRates !== undefined && !Array.isArray(data.fxRates)) {
+    return 'Backup section "fxRates" must be a list';
+  }
+
+  return '';
+}
+
+/**
+ * Compare current data with the backup, section by section
+ * Rows are matched by their ID column; JSON cells are compared as a whole.
+ */
+function buildBackupReport_(current, incoming) {
+  const report = {};
+
+  Object.keys(BACKUP_TABLES).forEach(key => {
+    const idField = BACKUP_TABLES[key].fields[0];
+    report[key] = diffBackupRows_(current[key], incoming[key], row => row[idField]);
+  });
+
+  report.categories = diffBackupRows_(current.categories, incoming.categories,
+    category => category.fullName);
+
+  Object.keys(BACKUP_JSON_CELLS).forEach(key => {
+    if (incoming[key] === undefined) return;
+    const before = JSON.stringify(current[key] === undefined ? null : current[key]);
+    const after = JSON.stringify(incoming[key] === undefined ? null : incoming[key]);
+    report[key] = { changed: before !== after };
+  });
+
+  if (Array.isArray(incoming.fxRates)) {
+    report.fxRates = diffBackupRows_(current.fxRates, incoming.fxRates, rate => rate.currency);
+  }
+
+  return report;
+}
+
+/**
+ * Count added, updated, removed and unchanged rows between two lists
+ */
+function diffBackupRows_(currentRows, incomingRows, getKey) {
+  const currentMap = {};
+  currentRows.forEach(row => {
+    currentMap[String(getKey(row))] = JSON.stringify(row);
+  });
+
+  const result = { current: currentRows.length, incoming: incomingRows.length, added: 0, updated: 0, removed: 0, unchanged: 0 };
+  const seen = {};
+
+  incomingRows.forEach(row => {
+    const key = String(getKey(row));
+    seen[key] = true;
+
+    if (!(key in currentMap)) {
+      result.added++;
+    } else if (currentMap[key] === JSON.stringify(row)) {
+      result.unchanged++;
+    } else {
+      result.updated++;
+    }
+  });
+
+  Object.keys(currentMap).forEach(key => {
+    if (!seen[key]) result.removed++;
+  });
+
+  return result;
+}
+
+/**
+ * Replace spreadsheet contents with the backup data
+ * Categories are written first so the =zategoryN formulas point at the restored names.
+ */
+function writeBackupData_(data) {
+  const dontedit = getBudgetSheet("Dontedit");
+  if (!dontedit) throw new Error("Dontedit sheet not found");
+
+  // 1) Categories back on their rows (in list order for backups without "order"),
+  //    padded with empty rows up to the current store size
+  const categorySheet = getCategorySheet_();
+  const storedCount = readCategoryStoreRows_(categorySheet).length;
+  const byOrder = [];
+  data.categories.forEach((category, i) => {
+    byOrder[category.order === undefined ? i : category.order] = category;
+  });
+  const categoryRows = [];
+  for (let i = 0; i < Math.max(storedCount, byOrder.length); i++) {
+    const category = byOrder[i];
+    categoryRows.push(category
+      ? [category.active === true, category.fullName,
+         category.displayOrder == null ? '' : category.displayOrder,
+         category.id == null ? i : category.id,
+         category.group || '']
+      : [false, '', '', '', '']);
+  }
+  if (categoryRows.length > 0) {
+    categorySheet.getRange(CATEGORY_FIRST_ROW, 1, categoryRows.length, CATEGORY_HEADERS.length).setValues(categoryRows);
+  }
+  for (let i = storedCount; i < byOrder.length; i++) {
+    setZategoryRange_(categorySheet, i);
+  }
+  _serverCategoriesCache = null;
+
+  // Category name -> formula for the restored positions
+  const formulas = {};
+  byOrder.forEach((category, i) => {
+    if (category) formulas[category.fullName] = "=zategory" + (i + 1);
+  });
+
+  // 2) Row-based sheets
+  Object.keys(BACKUP_TABLES).forEach(key => {
+    writeBackupTable_(BACKUP_TABLES[key], data[key], formulas);
+  });
+
+  // 3) JSON cells, datasets with a newer revision so devices holding the old data can't overwrite them
+  const previousSettings = readBackupJsonCell_(dontedit, BACKUP_JSON_CELLS.settings.cell);
+  const datasetCells = Object.keys(DATASET_CELLS).map(dataset => DATASET_CELLS[dataset]);
+  Object.keys(BACKUP_JSON_CELLS).forEach(key => {
+    const { cell, arrayKey } = BACKUP_JSON_CELLS[key];
+    let value = data[key];
+    if (value === undefined) return;
+    if (Array.isArray(value) && arrayKey) {
+      value = { [arrayKey]: value };
+    }
+    if (value && typeof value === 'object' && !Array.isArray(value) && datasetCells.indexOf(cell) !== -1) {
+      value = Object.assign({}, value, { revision: readCellRevision_(dontedit, cell) + 1 });
+    }
+    dontedit.getRange(cell)
+      .setValue(value === null ? '' : JSON.stringify(value));
+  });
+
+  // The emails and the recurring ledger follow the restored settings, as after setUserSettings
+  if (data.settings !== undefined) {
+    scheduleSettingsTriggers_(data.settings && data.settings.settings,
+      previousSettings && previousSettings.settings);
+  }
+
+  // 4) FX rates table, left as is when restoring a backup made before it existed
+  if (Array.isArray(data.fxRates)) {
+    const rateRange = dontedit.getRange(FX_RATES_RANGE);
+    const rateRows = [];
+    for (let i = 0; i < rateRange.getNumRows(); i++) {
+      const rate = data.fxRates[i];
+      rateRows.push(rate ? [rate.currency || '', rate.rate || '', rate.note || ''] : ['', '', '']);
+    }
+    rateRange.setValues(rateRows);
+  }
+
+  // 5) Every client cache is now stale
+  ['netWorth', 'recurring', 'settings', 'masterData', 'budget', 'categories', 'income']
+    .forEach(type => updateDataTimestamp(type));
+}
+
+/**
+ * Clear a row-based sheet and write the backup rows from its first data row
+ */
+function writeBackupTable_(table, rows, formulas) {
+  const sheet = getBudgetSheet(table.sheet);
+  if (!sheet) throw new Error(table.sheet + " sheet not found");
+
+  const width = table.fields.length;
+  const lastRow = sheet.getLastRow();
+  if (lastRow >= table.startRow) {
+    sheet.getRange(table.startRow, table.startCol, lastRow - table.startRow + 1, width).clearContent();
+  }
+
+  if (!rows.length) return;
+
+  const values = rows.map(row => table.fields.map(field => {
+    const value = row[field] === undefined || row[field] === null ? '' : row[field];
+
+    // Exported dates come back through the same writers the app uses
+    if (table.dateFields.indexOf(field) !== -1 && /^\d{1,2}\/\d{1,2}\/\d{4}$/.test(value)) {
+      return table.monthOnly ? createMonthYearOnly(value) : createDateOnly(value);
+    }
+    if (field === table.categoryField && formulas[value]) {
+      return formulas[value];
+    }
+    if (field === 'amount' && value !== '') {
+      return parseFloat(value);
+    }
+    return value;
+  }));
+
+  sheet.getRange(table.startRow, table.startCol, values.length, width).setValues(values);
+}
+
+/**
+ * Row counts per section, for display after export
+ */
+function countBackupData_(data) {
+  const counts = {};
+  Object.keys(BACKUP_TABLES).forEach(key => {
+    counts[key] = data[key].length;
+  });
+  counts.categories = data.categories.length;
+  return counts;
+}
@@ -1,45 +1,71 @@
 /**
- * UPDATED: Get categories with timestamp from Dontedit sheet
- * CHANGE: Read L10:N39 instead of L10:M39 to include display order from column N
- * Replace your existing getCategoriesWithTimestamp function with this version
+ * Category store for Simplify Budget
+ * Categories used to live in a fixed Dontedit block (L10:O39), which capped them at 30.
+ * They now live on the hidden "Categories" sheet, one row per category, from row 2:
+ *
+ *   A Active | B Category ("Rent 🏠") | C Display order | D ID | E Group ("Housing")
+ *
+ * The row is the category's position: order = row - 2. Budgets (Dontedit K10) and
+ * alerts are keyed by that order, and expenses point at the name through the named
+ * range zategory<order + 1>, so rows are never moved or removed. Merging a category
+ * into another (mergeCategory) moves everything that points at it and leaves its
+ * row empty.
+ *
+ * Migration (migrateCategoryStore_, run by the first write): the 30 rows of the old block
+ * are copied in the same order, the existing zategory1..30 named ranges are pointed
+ * at the new rows so every "=zategoryN" formula keeps showing the same category, and
+ * the old block becomes a formula showing the first 30 rows, for sheet formulas that
+ * still read it. Until then, reads come from the old block.
+ */
+
+const CATEGORY_SHEET_NAME = "Categories";
+const CATEGORY_HEADERS = ["Active", "Category", "Display order", "ID", "Group"];
+const CATEGORY_FIRST_ROW = 2;
+const CATEGORY_LEGACY_RANGE = "L10:O39";
+const CATEGORY_GROUP_MAX_LENGTH = 40;
+
+// Offset of the category cell in Expenses (G) and Recurring (F) rows, as TRASH_SOURCES reads them
+const CATEGORY_MERGE_CELL_INDEX = 3;
+
+/**
+ * Get categories with their active state, display order, stable ID and group
+ * @return {Object} Result with categories and activeCategories, each
+ *   {id, name, emoji, fullName, active, order, displayOrder, group, zategoryFormula}
  */
 function getCategoriesWithTimestamp() {
   try {
     Logger.log("getCategoriesWithTimestamp called");
     
-    const setupSheet = getBudgetSheet("Dontedit");
-    if (!setupSheet) {
-      return {
-        success: false,
-        error: "Dontedit sheet not found"
-      };
-    }
-    
- 
+    const sheet = findCategorySheet_();
+    const values = readCategoryRows_(sheet);
     
-    // UPDATED: Get category data from L10:O39 (active, categories, displayOrder, id)
-    const range = setupSheet.getRange("L10:O39");
-    const values = range.getValues();
-    
-    // Check if column O needs ID initialization
-    let needsIdInit = false;
+    // Check if column D needs ID initialization
     const idUpdates = [];
+    const usedIds = new Set(values.map(row => row[3]).filter(id => id !== "" && id != null).map(id => id.toString()));
+    let nextId = values.reduce((max, row) => Math.max(max, parseInt(row[3], 10) || 0), values.length);
     
     for (let i = 0; i < values.length; i++) {
-      const categoryString = values[i][1]; // Column M
-      const categoryId = values[i][3];     // Column O
+      const categoryString = values[i][1]; // Column B
+      const categoryId = values[i][3];     // Column D
       
       if (categoryString && categoryString !== "" && (categoryId === "" || categoryId == null)) {
-        needsIdInit = true;
-        idUpdates.push({ row: i + 10, id: i }); // Auto-assign sequential IDs
-        values[i][3] = i; // Update local array
+        // Sequential IDs as before, unless that number is already taken
+        const id = usedIds.has(i.toString()) ? ++nextId : i;
+        usedIds.add(id.toString());
+        idUpdates.push({ row: i + CATEGORY_FIRST_ROW, id: id });
+        values[i][3] = id; // Update local array
       }
     }
     
-    // Write missing IDs to spreadsheet
-    if (needsIdInit) {
+    // Write missing IDs to spreadsheet (column D of the store, or O of the old block)
+    if (idUpdates.length > 0) {
+      const legacyRange = sheet ? null : getBudgetSheet("Dontedit").getRange(CATEGORY_LEGACY_RANGE);
       for (const update of idUpdates) {
-        setupSheet.getRange(update.row, 15).setValue(update.id); // Column O = 15
+        if (sheet) {
+          sheet.getRange(update.row, 4).setValue(update.id); // Column D = 4
+        } else {
+          legacyRange.getCell(update.row - CATEGORY_FIRST_ROW + 1, 4).setValue(update.id);
+        }
       }
       Logger.log(`Auto-generated ${idUpdates.length} category IDs`);
     }
@@ -48,10 +74,10 @@ function getCategoriesWithTimestamp() {
     const activeCategories = [];
     
     for (let i = 0; i < values.length; i++) {
-      const isActive = values[i][0] === true;    // Column L is checkbox
-      const categoryString = values[i][1];       // Column M is category name
-      const displayOrder = values[i][2];         // Column N is display order
-      const categoryId = values[i][3];           // Column O is stable ID
+      const isActive = values[i][0] === true;    // Column A is checkbox
+      const categoryString = values[i][1];       // Column B is category name
+      const displayOrder = values[i][2];         // Column C is display order
+      const categoryId = values[i][3];           // Column D is stable ID
       
       if (!categoryString || categoryString === "") continue;
       
@@ -59,13 +85,14 @@ function getCategoriesWithTimestamp() {
       const parsed = parseCategoryNameAndEmoji(categoryString);
       
       const categoryObj = {
-        id: categoryId !== null && categoryId !== "" ? categoryId : i,  // Use stable ID from column O
+        id: categoryId !== null && categoryId !== "" ? categoryId : i,  // Use stable ID from column D
         name: parsed.name,
         emoji: parsed.emoji,
         fullName: categoryString,
         active: isActive,
         order: i,                                              // Spreadsheet order (unchanged)
-        displayOrder: displayOrder || (i + 1),                // Display order from column N, fallback to order+1
+        displayOrder: displayOrder || (i + 1),                // Display order from column C, fallback to order+1
+        group: (values[i][4] || "").toString().trim(),       // Parent group, "" for none
         zategoryFormula: "=zategory" + (i + 1)  // Direct formula: "=zategory1", "=zategory2"...
       };
       
@@ -132,24 +159,17 @@ function updateCategoriesTimestamp() {
  * @return {Object} Status object with success/error
  */
 function updateCategoryStatus(categoryName, active) {
+  if (!acquireWriteLock_("updateCategoryStatus")) return writeRetryResult_();
+
   try {
-    // Get Dontedit sheet (changed from "Setup")
-    const setupSheet = getBudgetSheet("Dontedit");
-    if (!setupSheet) {
-      return {
-        success: false,
-        error: "Dontedit sheet not found" // Changed error message
-      };
-    }
-    
-    // Get category names from M10:M39 (changed from G15:G44)
-    const categoryRange = setupSheet.getRange("M10:M39").getValues();
+    const setupSheet = getCategorySheet_();
     
-    // Find the row for this category
+    // Find the row for this category (column B)
+    const categoryRange = readCategoryStoreRows_(setupSheet);
     let rowIndex = -1;
     for (let i = 0; i < categoryRange.length; i++) {
-      if (categoryRange[i][0] === categoryName) {
-        rowIndex = i + 10; // Changed from i + 15 to i + 10 (M10 starts at row 10)
+      if (categoryRange[i][1] === categoryName) {
+        rowIndex = i + CATEGORY_FIRST_ROW;
         break;
       }
     }
@@ -161,8 +181,10 @@ function updateCategoryStatus(categoryName, active) {
       };
     }
     
-    // Update the active status in column L (changed from column F=6 to L=12)
-    setupSheet.getRange(rowIndex, 12).setValue(active);
+    // Update the active status in column A
+    const wasActive = setupSheet.getRange(rowIndex, 1).getValue();
+    setupSheet.getRange(rowIndex, 1).setValue(active);
+    logAudit_("updateCategoryStatus", "categories", [categoryName], { active: wasActive }, { active: active });
     
     // Update categories timestamp in J11 (changed from wherever it was before)
     updateDataTimestamp('categories');
@@ -179,6 +201,8 @@ function updateCategoryStatus(categoryName, active) {
       success: false,
       error: error.toString()
     };
+  } finally {
+    releaseWriteLock_();
   }
 }
 
@@ -192,20 +216,15 @@ function updateCategoryStatus(categoryName, active) {
  * @return {Object} Success response or error
  */
 function updateCategoryName(oldFullName, newName, newEmoji) {
+  if (!acquireWriteLock_("updateCategoryName")) return writeRetryResult_();
+
   try {
     Logger.log("updateCategoryName called with:", { oldFullName, newName, newEmoji });
     
-    const setupSheet = getBudgetSheet("Dontedit"); // Changed from "Setup" to "Dontedit"
-    if (!setupSheet) {
-      return {
-        success: false,
-        error: "Dontedit sheet not found"
-      };
-    }
+    const setupSheet = getCategorySheet_();
     
-    // Get category data from M10:M39 (changed from G15:G44)
-    const range = setupSheet.getRange("M10:M39");
-    const values = range.getValues();
+    // Category names (column B of the store)
+    const values = readCategoryStoreRows_(setupSheet).map(row => [row[1]]);
     
     // Find the category to update
     let categoryRowIndex = -1;
@@ -231,7 +250,7 @@ function updateCategoryName(oldFullName, newName, newEmoji) {
     if (categoryRowIndex === -1) {
       return {
         success: false,
-        error: "Category not found in Dontedit sheet: " + oldFullName
+        error: "Category not found: " + oldFullName
       };
     }
     
@@ -253,36 +272,21 @@ function updateCategoryName(oldFullName, newName, newEmoji) {
     // Create the new full name and normalized name
     const trimmedNewName = newName.trim();
     const newFullName = `${trimmedNewName} ${newEmoji.trim()}`;
-    const normalizedNewName = trimmedNewName.toLowerCase();
     
     // Check for duplicates (exclude current row)
-    for (let i = 0; i < values.length; i++) {
-      if (i === categoryRowIndex) continue;
-      
-      const existingValue = values[i][0];
-      if (!existingValue) continue;
-      
-      const existingFullName = existingValue.toString().trim();
-      if (existingFullName === newFullName) {
-        return {
-          success: false,
-          error: "A category with this name and emoji already exists"
-        };
-      }
-      
-      const parsedExisting = parseCategoryNameAndEmoji(existingFullName);
-      const existingName = parsedExisting.name ? parsedExisting.name.toString().trim().toLowerCase() : existingFullName.toLowerCase();
-      if (existingName === normalizedNewName) {
-        return {
-          success: false,
-          error: "A category with this name already exists"
-        };
-      }
+    const duplicateError = findDuplicateCategory_(values.map(row => row[0]), newFullName, trimmedNewName, categoryRowIndex);
+    if (duplicateError) {
+      return {
+        success: false,
+        error: duplicateError
+      };
     }
     
     // Update the category in the spreadsheet
-    const actualRowNumber = categoryRowIndex + 10; // M10 is row 10 (changed from 15)
-    setupSheet.getRange(actualRowNumber, 13).setValue(newFullName); // Column M (changed from G=7 to M=13)
+    const actualRowNumber = categoryRowIndex + CATEGORY_FIRST_ROW;
+    setupSheet.getRange(actualRowNumber, 2).setValue(newFullName); // Column B
+    logAudit_("updateCategoryName", "categories", [values[categoryRowIndex][0].toString()],
+      { name: values[categoryRowIndex][0].toString() }, { name: newFullName });
     
     // Update the named range
     const zategoryNumber = categoryRowIndex + 1;
@@ -320,6 +324,8 @@ function updateCategoryName(oldFullName, newName, newEmoji) {
       success: false,
       error: error.toString()
     };
+  } finally {
+    releaseWriteLock_();
   }
 }
 
@@ -332,32 +338,39 @@ function updateCategoryName(oldFullName, newName, newEmoji) {
  * @return {Object} Success/error result
  */
 function updateCategoryDisplayOrder(displayOrderMap) {
+  if (!acquireWriteLock_("updateCategoryDisplayOrder")) return writeRetryResult_();
+
   try {
     Logger.log("updateCategoryDisplayOrder called with:", JSON.stringify(displayOrderMap));
     
-    const setupSheet = getBudgetSheet("Dontedit");
-    
-    if (!setupSheet) {
-      return { success: false, error: "Dontedit sheet not found" };
-    }
+    const setupSheet = getCategorySheet_();
     
-    // Get category IDs from O10:O39
-    const idRange = setupSheet.getRange("O10:O39").getValues();
+    // Category IDs (column D) and display orders (column C)
+    const rows = readCategoryStoreRows_(setupSheet);
+    const idRange = rows.map(row => [row[3]]);
+    const previousOrder = rows.map(row => [row[2]]);
     
     let updatedCount = 0;
     const updateLog = [];
+    const auditBefore = {};
+    const auditAfter = {};
     
     // Process each category in the update request
     for (const orderUpdate of displayOrderMap) {
       // Find category row by matching the stable ID
       for (let i = 0; i < idRange.length; i++) {
-        const categoryId = idRange[i][0]; // Column O
+        const categoryId = idRange[i][0]; // Column D
         
         if (categoryId !== null && categoryId !== "" && categoryId == orderUpdate.id) {
-          const rowIndex = i + 10; // O10 starts at row 10
+          const rowIndex = i + CATEGORY_FIRST_ROW;
           
-          // Update display order in column N (column 14)
-          setupSheet.getRange(rowIndex, 14).setValue(orderUpdate.displayOrder);
+          // Update display order in column C
+          setupSheet.getRange(rowIndex, 3).setValue(orderUpdate.displayOrder);
+
+          if (previousOrder[i][0] != orderUpdate.displayOrder) {
+            auditBefore[categoryId] = { displayOrder: previousOrder[i][0] };
+            auditAfter[categoryId] = { displayOrder: orderUpdate.displayOrder };
+          }
           
           updatedCount++;
           updateLog.push(`Row ${rowIndex}: ID ${categoryId} → display order ${orderUpdate.displayOrder}`);
@@ -376,6 +389,10 @@ function updateCategoryDisplayOrder(displayOrderMap) {
       Logger.log("Warning: Could not update timestamp: " + timestampError.toString());
     }
     
+    if (Object.keys(auditAfter).length > 0) {
+      logAudit_("updateCategoryDisplayOrder", "categories", Object.keys(auditAfter), auditBefore, auditAfter);
+    }
+
     Logger.log(`updateCategoryDisplayOrder completed. Updated ${updatedCount} categories`);
     Logger.log("Update log:", updateLog);
     
@@ -392,5 +409,513 @@ function updateCategoryDisplayOrder(displayOrderMap) {
       success: false, 
       error: error.toString() 
     };
+  } finally {
+    releaseWriteLock_();
+  }
+}
+
+
+/**
+ * Add a category at the end of the category store
+ * @param {string} name - Category name "Internet"
+ * @param {string} emoji - Category emoji "🌐"
+ * @param {string} group - Optional parent group "Housing"
+ * @return {Object} Result with the new category (as getCategoriesWithTimestamp returns it)
+ */
+function addCategory(name, emoji, group) {
+  if (!name || !name.toString().trim()) {
+    return { success: false, error: "Category name cannot be empty" };
+  }
+  if (!emoji || !emoji.toString().trim()) {
+    return { success: false, error: "Category emoji cannot be empty" };
   }
+
+  // Two people adding at once could pick the same row; see zLock.js
+  if (!acquireWriteLock_("addCategory")) return writeRetryResult_();
+
+  try {
+    const sheet = getCategorySheet_();
+    const rows = readCategoryStoreRows_(sheet);
+    const fullName = `${name.toString().trim()} ${emoji.toString().trim()}`;
+
+    const duplicateError = findDuplicateCategory_(rows.map(row => row[1]), fullName, name.toString().trim(), -1);
+    if (duplicateError) {
+      return { success: false, error: duplicateError };
+    }
+
+    const order = rows.length;
+    const displayOrder = rows.reduce((max, row) => Math.max(max, parseInt(row[2], 10) || 0), 0) + 1;
+    const id = rows.reduce((max, row) => Math.max(max, parseInt(row[3], 10) || 0), order - 1) + 1;
+    const groupName = normalizeCategoryGroup_(group);
+
+    sheet.getRange(order + CATEGORY_FIRST_ROW, 1, 1, CATEGORY_HEADERS.length)
+      .setValues([[true, fullName, displayOrder, id, groupName]]);
+    setZategoryRange_(sheet, order);
+
+    _serverCategoriesCache = null;
+    updateDataTimestamp('categories');
+    logAudit_("addCategory", "categories", [fullName], null, { name: fullName, group: groupName });
+
+    const parsed = parseCategoryNameAndEmoji(fullName);
+    return {
+      success: true,
+      category: {
+        id: id,
+        name: parsed.name,
+        emoji: parsed.emoji,
+        fullName: fullName,
+        active: true,
+        order: order,
+        displayOrder: displayOrder,
+        group: groupName,
+        zategoryFormula: "=zategory" + (order + 1)
+      }
+    };
+  } catch (error) {
+    Logger.log("Error in addCategory: " + error.toString());
+    return { success: false, error: error.toString() };
+  } finally {
+    releaseWriteLock_();
+  }
+}
+
+/**
+ * Put a category in a parent group, or take it out of its group
+ * @param {number|string} categoryId - Stable category ID (column D)
+ * @param {string} group - Group name, "" for none
+ * @return {Object} Result with the saved group name
+ */
+function updateCategoryGroup(categoryId, group) {
+  if (!acquireWriteLock_("updateCategoryGroup")) return writeRetryResult_();
+
+  try {
+    const sheet = getCategorySheet_();
+    const rows = readCategoryStoreRows_(sheet);
+    const index = rows.findIndex(row => row[1] && row[3] !== "" && row[3] == categoryId);
+
+    if (index === -1) {
+      return { success: false, error: "Category not found: " + categoryId };
+    }
+
+    const groupName = normalizeCategoryGroup_(group);
+    const previous = (rows[index][4] || "").toString();
+    sheet.getRange(index + CATEGORY_FIRST_ROW, 5).setValue(groupName);
+
+    updateDataTimestamp('categories');
+    if (previous !== groupName) {
+      logAudit_("updateCategoryGroup", "categories", [rows[index][1].toString()], { group: previous }, { group: groupName });
+    }
+
+    return { success: true, categoryId: categoryId, group: groupName };
+  } catch (error) {
+    Logger.log("Error in updateCategoryGroup: " + error.toString());
+    return { success: false, error: error.toString() };
+  } finally {
+    releaseWriteLock_();
+  }
+}
+
+/**
+ * Count what merging one category into another would change, without writing anything
+ * @param {number|string} sourceId - Stable ID of the category that goes away
+ * @param {number|string} targetId - Stable ID of the category that takes over
+ * @return {Object} Result with source, target and counts
+ *   {expenses, recurring, trash, budgetMonths, rules, alertThresholds}
+ */
+function previewCategoryMerge(sourceId, targetId) {
+  try {
+    const plan = planCategoryMerge_(sourceId, targetId);
+    if (plan.error) return { success: false, error: plan.error };
+
+    return {
+      success: true,
+      source: plan.source.fullName,
+      target: plan.target.fullName,
+      counts: getCategoryMergeCounts_(plan)
+    };
+  } catch (error) {
+    Logger.log("Error in previewCategoryMerge: " + error.toString());
+    return { success: false, error: error.toString() };
+  }
+}
+
+/**
+ * Merge one category into another and remove it
+ * Every expense and recurring item (trash included) is pointed at the target,
+ * the source's monthly budgets are added to the target's, rules move to the
+ * target and the source's rollover setting and alert thresholds are dropped.
+ * The rules, settings and budget datasets are saved together: if one save fails,
+ * the ones already saved are put back. The source's row is
+ * then emptied rather than removed, so the orders of the other categories (and
+ * everything keyed by them) stay the same.
+ * Each step only touches what still points at the source, so a merge that
+ * failed halfway can be run again.
+ * @param {number|string} sourceId - Stable ID of the category that goes away
+ * @param {number|string} targetId - Stable ID of the category that takes over
+ * @return {Object} Result with source, target, the counts changed and the new
+ *   revisions of the datasets it saved ({budget, settings, rules})
+ */
+function mergeCategory(sourceId, targetId) {
+  if (!acquireWriteLock_("mergeCategory")) return writeRetryResult_();
+
+  try {
+    const plan = planCategoryMerge_(sourceId, targetId);
+    if (plan.error) return { success: false, error: plan.error };
+
+    const source = plan.source;
+    const target = plan.target;
+    const counts = getCategoryMergeCounts_(plan);
+    const revisions = {};
+
+    // The JSON datasets first: they are the ones that can refuse a save.
+    // Every change is planned before anything is saved.
+    const saves = [];
+    if (plan.rules.length > 0) {
+      plan.rules.forEach(rule => rule.categoryId = target.id);
+      saves.push(["rules", () => saveCategorizationRules(plan.allRules, getDatasetRevision_("rules"))]);
+    }
+    if (plan.alertThresholds) {
+      saves.push(["settings", () => removeCategoryAlertThreshold_(source.order)]);
+    }
+    if (plan.budgetMonths.length > 0 || plan.rollover) {
+      plan.budgetMonths.forEach(month => {
+        const monthBudgets = plan.budgetData.budgets[month];
+        const total = (parseFloat(monthBudgets[String(target.order)]) || 0) + (parseFloat(monthBudgets[String(source.order)]) || 0);
+        monthBudgets[String(target.order)] = Math.round(total * 100) / 100;
+        delete monthBudgets[String(source.order)];
+      });
+      if (plan.rollover) delete plan.budgetData.rollover[String(source.order)];
+      saves.push(["budget", () => saveBudgetData(plan.budgetData, getDatasetRevision_("budget"))]);
+    }
+
+    const dontedit = getBudgetSheet("Dontedit");
+    const previous = {};
+    saves.forEach(([dataset]) => previous[dataset] = dontedit.getRange(DATASET_CELLS[dataset]).getValue());
+    for (const [dataset, save] of saves) {
+      const saved = save();
+      if (!saved.success) {
+        // We still hold the lock, so nothing else was saved in between
+        Object.keys(revisions).forEach(done => dontedit.getRange(DATASET_CELLS[done]).setValue(previous[done]));
+        return saved;
+      }
+      revisions[dataset] = saved.revision;
+    }
+
+    // Then the rows, by pointing their category formula at the target
+    [["expenses", plan.expenseRows], ["recurring", plan.recurringRows]].forEach(([kind, rows]) => {
+      if (rows.length === 0) return;
+      const config = TRASH_SOURCES[kind];
+      const sheet = getBudgetSheet(config.sheet);
+      const column = config.firstColumn + CATEGORY_MERGE_CELL_INDEX;
+      const before = readAuditRows_(kind, sheet, rows);
+      sheet.getRangeList(rows.map(row => sheet.getRange(row, column).getA1Notation())).setValue(target.zategoryFormula);
+      logRowChanges_("mergeCategory", kind, sheet, before, rows);
+    });
+
+    if (plan.trashEntries.length > 0) {
+      const trashSheet = getTrashSheet_(false);
+      plan.trashEntries.forEach(entry => {
+        entry.cells[CATEGORY_MERGE_CELL_INDEX] = target.zategoryFormula;
+        trashSheet.getRange(entry.row, TRASH_HEADERS.length).setValue(JSON.stringify(entry.cells.map(encodeTrashCell_)));
+      });
+    }
+
+    // Finally empty the source's row; nothing points at it any more
+    getCategorySheet_().getRange(source.order + CATEGORY_FIRST_ROW, 1, 1, CATEGORY_HEADERS.length)
+      .setValues([[false, "", "", "", ""]]);
+
+    _serverCategoriesCache = null;
+    updateDataTimestamp('categories');
+    if (counts.expenses > 0 || counts.recurring > 0) updateDataTimestamp('masterData');
+    if (counts.recurring > 0) updateDataTimestamp('recurring');
+    logAudit_("mergeCategory", "categories", [source.fullName],
+      { name: source.fullName, active: source.active, group: source.group },
+      Object.assign({ mergedInto: target.fullName }, counts));
+
+    return {
+      success: true,
+      source: source.fullName,
+      target: target.fullName,
+      counts: counts,
+      revisions: revisions
+    };
+  } catch (error) {
+    Logger.log("Error in mergeCategory: " + error.toString());
+    return { success: false, error: error.toString() };
+  } finally {
+    releaseWriteLock_();
+  }
+}
+
+/**
+ * Drop one category's alert threshold from the settings (Dontedit K8)
+ * Writes the cell directly rather than through setUserSettings: nothing else in the
+ * settings changes, so the triggers it schedules stay as they are.
+ * Call while holding the write lock.
+ * @param {number} order - Order of the category
+ * @return {Object} Result with the new settings revision
+ */
+function removeCategoryAlertThreshold_(order) {
+  const sheet = getBudgetSheet("Dontedit");
+  const check = checkDatasetRevision_(sheet, "settings", getDatasetRevision_("settings", sheet));
+  if (check.conflict) return check.conflict;
+
+  const stored = readAuditJsonCell_(sheet, "K8") || {};
+  const settings = stored.settings || {};
+  const thresholds = settings.categoryAlertThresholds || {};
+  const before = thresholds[String(order)];
+  delete thresholds[String(order)];
+
+  sheet.getRange("K8").setValue(JSON.stringify({ settings: settings, version: 1, revision: check.revision }));
+  updateDataTimestamp('settings');
+  logAudit_("mergeCategory", "settings", ["categoryAlertThresholds"],
+    { categoryAlertThresholds: { [order]: before } }, { categoryAlertThresholds: { [order]: null } });
+
+  return { success: true, revision: check.revision };
+}
+
+/**
+ * Find everything that points at the source category of a merge
+ * @param {number|string} sourceId - Stable ID of the category that goes away
+ * @param {number|string} targetId - Stable ID of the category that takes over
+ * @return {Object} { error } or the plan: source, target, expenseRows, recurringRows,
+ *   trashEntries, budgetData, budgetMonths, rollover, alertThresholds, allRules, rules
+ */
+function planCategoryMerge_(sourceId, targetId) {
+  if (sourceId === null || sourceId === undefined || targetId === null || targetId === undefined) {
+    return { error: "Choose the category to merge and the category to merge it into" };
+  }
+  if (String(sourceId) === String(targetId)) {
+    return { error: "A category can't be merged into itself" };
+  }
+
+  const categories = getCategoriesWithTimestamp();
+  if (!categories.success) return { error: categories.error };
+
+  const source = categories.categories.find(cat => String(cat.id) === String(sourceId));
+  const target = categories.categories.find(cat => String(cat.id) === String(targetId));
+  if (!source) return { error: "Category not found: " + sourceId };
+  if (!target) return { error: "Category not found: " + targetId };
+
+  const pointsAtSource = cell => isCategoryMergeSourceCell_(cell, source);
+  const findRows = kind => {
+    const config = TRASH_SOURCES[kind];
+    const sheet = getBudgetSheet(config.sheet);
+    const lastRow = sheet.getLastRow();
+    if (lastRow < config.firstRow) return [];
+
+    const range = sheet.getRange(config.firstRow, config.firstColumn + CATEGORY_MERGE_CELL_INDEX, lastRow - config.firstRow + 1, 1);
+    const values = range.getValues();
+    const formulas = range.getFormulas();
+    const rows = [];
+    values.forEach((row, i) => {
+      if (pointsAtSource(formulas[i][0] || row[0])) rows.push(config.firstRow + i);
+    });
+    return rows;
+  };
+
+  const trashSheet = getTrashSheet_(false);
+  const trashEntries = trashSheet
+    ? readTrashRows_(trashSheet).filter(entry =>
+        (entry.source === "expenses" || entry.source === "recurring") && pointsAtSource(entry.cells[CATEGORY_MERGE_CELL_INDEX]))
+    : [];
+
+  const budgetData = readAuditJsonCell_(getBudgetSheet("Dontedit"), "K10") || { budgets: {} };
+  const budgets = budgetData.budgets || {};
+  const budgetMonths = Object.keys(budgets).filter(month =>
+    budgets[month] && Object.prototype.hasOwnProperty.call(budgets[month], String(source.order)));
+
+  const settingsResult = getUserSettings();
+  const settings = settingsResult.success && settingsResult.settings ? settingsResult.settings : {};
+  const thresholds = settings.categoryAlertThresholds || {};
+
+  const allRules = getCategorizationRulesFromDontedit_();
+
+  return {
+    source: source,
+    target: target,
+    expenseRows: findRows("expenses"),
+    recurringRows: findRows("recurring"),
+    trashEntries: trashEntries,
+    budgetData: budgetData,
+    budgetMonths: budgetMonths,
+    rollover: !!budgetData.rollover && Object.prototype.hasOwnProperty.call(budgetData.rollover, String(source.order)),
+    alertThresholds: Object.prototype.hasOwnProperty.call(thresholds, String(source.order)),
+    allRules: allRules,
+    rules: allRules.filter(rule => String(rule.categoryId) === String(source.id))
+  };
+}
+
+/**
+ * Counts shown before and returned after a merge
+ * @param {Object} plan - From planCategoryMerge_
+ * @return {Object} {expenses, recurring, trash, budgetMonths, rules, rollover, alertThresholds}
+ */
+function getCategoryMergeCounts_(plan) {
+  return {
+    expenses: plan.expenseRows.length,
+    recurring: plan.recurringRows.length,
+    trash: plan.trashEntries.length,
+    budgetMonths: plan.budgetMonths.length,
+    rules: plan.rules.length,
+    rollover: plan.rollover ? 1 : 0,
+    alertThresholds: plan.alertThresholds ? 1 : 0
+  };
+}
+
+/**
+ * Whether a category cell belongs to a category: its "=zategoryN" formula, or
+ * its name typed in as plain text
+ * @param {*} cell - Formula, or the value when the cell has none
+ * @param {Object} category - Category as getCategoriesWithTimestamp returns it
+ * @return {boolean} True when the cell points at the category
+ */
+function isCategoryMergeSourceCell_(cell, category) {
+  const text = (cell || "").toString().trim();
+  if (!text) return false;
+
+  const formula = text.match(/^=\s*zategory(\d+)\s*$/i);
+  if (formula) return parseInt(formula[1], 10) === category.order + 1;
+  return text === category.fullName;
+}
+
+/**
+ * The hidden Categories sheet, migrated from the Dontedit block if it is not there yet.
+ * For write paths; readers use findCategorySheet_ and readCategoryRows_.
+ * @return {Sheet} Category store
+ */
+function getCategorySheet_() {
+  return findCategorySheet_() || migrateCategoryStore_();
+}
+
+/**
+ * The hidden Categories sheet, without migrating
+ * @return {Sheet|null} Category store, null while categories are still in Dontedit
+ */
+function findCategorySheet_() {
+  return getBudgetSheet().getParent().getSheetByName(CATEGORY_SHEET_NAME);
+}
+
+/**
+ * Category rows from the store, or from the old Dontedit block before migration
+ * @param {Sheet|null} sheet - Category store, as findCategorySheet_ returns it
+ * @return {Array} Rows [active, fullName, displayOrder, id, group]
+ */
+function readCategoryRows_(sheet) {
+  if (sheet) return readCategoryStoreRows_(sheet);
+
+  return getBudgetSheet("Dontedit").getRange(CATEGORY_LEGACY_RANGE).getValues()
+    .map(row => row.concat([""]));
+}
+
+/**
+ * All rows of the category store, empty names included so the index is the order
+ * @param {Sheet} sheet - Category store
+ * @return {Array} Rows [active, fullName, displayOrder, id, group]
+ */
+function readCategoryStoreRows_(sheet) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow < CATEGORY_FIRST_ROW) return [];
+
+  return sheet.getRange(CATEGORY_FIRST_ROW, 1, lastRow - CATEGORY_FIRST_ROW + 1, CATEGORY_HEADERS.length).getValues();
+}
+
+/**
+ * Move the categories from Dontedit L10:O39 to the Categories sheet
+ * Safe to call twice: a store that already exists is returned unchanged.
+ * @return {Sheet} Category store
+ */
+function migrateCategoryStore_() {
+  if (!acquireWriteLock_("migrateCategoryStore_")) throw new Error(WRITE_RETRY_MESSAGE);
+
+  try {
+    const ss = getBudgetSheet().getParent();
+    let sheet = ss.getSheetByName(CATEGORY_SHEET_NAME);
+    if (sheet) return sheet;
+
+    const dontedit = getBudgetSheet("Dontedit");
+    const legacyRange = dontedit.getRange(CATEGORY_LEGACY_RANGE);
+    const legacy = legacyRange.getValues();
+
+    sheet = ss.insertSheet(CATEGORY_SHEET_NAME);
+    sheet.getRange(1, 1, 1, CATEGORY_HEADERS.length).setValues([CATEGORY_HEADERS]).setFontWeight("bold");
+    sheet.getRange(CATEGORY_FIRST_ROW, 1, legacy.length, CATEGORY_HEADERS.length)
+      .setValues(legacy.map(row => row.concat([""])));
+    sheet.hideSheet();
+
+    // Same zategoryN names, now pointing at the store
+    legacy.forEach((row, order) => setZategoryRange_(sheet, order));
+
+    // The old block shows the first rows of the store from now on
+    const lastLegacyRow = CATEGORY_FIRST_ROW + legacy.length - 1;
+    legacyRange.clearContent();
+    legacyRange.getCell(1, 1).setFormula(
+      `=ARRAYFORMULA('${CATEGORY_SHEET_NAME}'!A${CATEGORY_FIRST_ROW}:D${lastLegacyRow})`);
+
+    _serverCategoriesCache = null;
+    updateDataTimestamp('categories');
+    logAudit_("migrateCategoryStore_", "categories", [],
+      { range: "Dontedit!" + CATEGORY_LEGACY_RANGE }, { sheet: CATEGORY_SHEET_NAME, rows: legacy.length });
+    Logger.log(`Moved ${legacy.length} category rows to the ${CATEGORY_SHEET_NAME} sheet`);
+
+    return sheet;
+  } finally {
+    releaseWriteLock_();
+  }
+}
+
+/**
+ * Point the named range zategory<order + 1> at a category's name cell, creating it if needed
+ * @param {Sheet} sheet - Category store
+ * @param {number} order - Category order (row - 2)
+ */
+function setZategoryRange_(sheet, order) {
+  const ss = sheet.getParent();
+  const name = "zategory" + (order + 1);
+  const cell = sheet.getRange(order + CATEGORY_FIRST_ROW, 2);
+
+  const existing = ss.getNamedRanges().find(range => range.getName() === name);
+  if (existing) {
+    existing.setRange(cell);
+  } else {
+    ss.setNamedRange(name, cell);
+  }
+}
+
+/**
+ * Check a category name against the existing ones (same full name, or same name
+ * with another emoji)
+ * @param {Array} fullNames - Existing full names, by order
+ * @param {string} fullName - New full name "Rent 🏠"
+ * @param {string} name - New name without emoji "Rent"
+ * @param {number} skipIndex - Order of the category being renamed, -1 for none
+ * @return {string} Error message, "" when the name is free
+ */
+function findDuplicateCategory_(fullNames, fullName, name, skipIndex) {
+  const normalizedNewName = name.toLowerCase();
+
+  for (let i = 0; i < fullNames.length; i++) {
+    if (i === skipIndex || !fullNames[i]) continue;
+
+    const existingFullName = fullNames[i].toString().trim();
+    if (existingFullName === fullName) {
+      return "A category with this name and emoji already exists";
+    }
+
+    const parsedExisting = parseCategoryNameAndEmoji(existingFullName);
+    const existingName = parsedExisting.name ? parsedExisting.name.toString().trim().toLowerCase() : existingFullName.toLowerCase();
+    if (existingName === normalizedNewName) {
+      return "A category with this name already exists";
+    }
+  }
+  return "";
+}
+
+/**
+ * Trim a group name and cap its length
+ * @param {string} group - Group name as entered
+ * @return {string} Group name, "" for none
+ */
+function normalizeCategoryGroup_(group) {
+  return (group || "").toString().trim().replace(/\s+/g, " ").slice(0, CATEGORY_GROUP_MAX_LENGTH);
 }
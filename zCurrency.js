@@ -0,0 +1,117 @@
+/**
+ * Multi-currency transactions for Simplify Budget
+ * Every amount on the Expenses, Income and Net Worth sheets stays in the base
+ * currency, so totals and sheet formulas keep working. An entry made in another
+ * currency also keeps what was actually paid, in the three columns after its table:
+ *
+ *   Currency | Original Amount | FX Rate
+ *   Expenses L:N, Income K:M, Net Worth L:N (blank for base-currency entries)
+ *
+ * Rates are a hand-edited table on Dontedit Q6:S55, no live FX service is used:
+ *   Q = currency code (EUR), R = base currency units per 1 unit, S = note
+ * The rate is copied onto each entry when it is saved, so editing the table later
+ * never changes amounts that were already recorded.
+ */
+
+const FX_RATES_RANGE = "Q6:S55";
+
+const FX_COLUMN_COUNT = 3;
+
+/**
+ * Read the FX rates table from Dontedit
+ * @return {Object} Result with rates array [{currency, rate, note}]
+ */
+function getFxRates() {
+  try {
+    return {
+      success: true,
+      rates: getFxRatesFromDontedit_()
+    };
+  } catch (error) {
+    Logger.log("Error in getFxRates: " + error.toString());
+    return { success: false, error: error.toString() };
+  }
+}
+
+/**
+ * Rows of the rates table with a currency code and a positive rate
+ * @return {Array} Rates
+ */
+function getFxRatesFromDontedit_() {
+  const sheet = getBudgetSheet("Dontedit");
+  if (!sheet) return [];
+
+  return sheet.getRange(FX_RATES_RANGE).getValues()
+    .map(row => ({
+      currency: (row[0] || "").toString().trim().toUpperCase(),
+      rate: parseFloat(row[1]),
+      note: (row[2] || "").toString()
+    }))
+    .filter(entry => entry.currency && entry.rate > 0);
+}
+
+/**
+ * Build a function that turns an entry into its FX column values. Entries with an
+ * originalCurrency get their amount recalculated in the base currency; the rates
+ * table is only read when an entry has no rate of its own.
+ * @return {Function} entry => [currency, originalAmount, fxRate]
+ */
+function createFxNormalizer_() {
+  let rateMap = null;
+
+  return function(entry) {
+    const currency = (entry.originalCurrency || "").toString().trim().toUpperCase();
+    if (!currency) return ["", "", ""];
+
+    const originalAmount = parseFloat(entry.originalAmount);
+    if (isNaN(originalAmount)) {
+      throw new Error(`Original amount is missing for a ${currency} entry`);
+    }
+
+    let rate = parseFloat(entry.fxRate);
+    if (!(rate > 0)) {
+      if (!rateMap) {
+        rateMap = {};
+        getFxRatesFromDontedit_().forEach(r => { rateMap[r.currency] = r.rate; });
+      }
+      rate = rateMap[currency];
+      if (!rate) {
+        throw new Error(`No exchange rate for ${currency}. Add it to the rates table on Dontedit (${FX_RATES_RANGE}).`);
+      }
+    }
+
+    entry.amount = Math.round(originalAmount * rate * 100) / 100;
+    return [currency, originalAmount, rate];
+  };
+}
+
+/**
+ * Read the FX columns of a sheet keyed by the ID in the first column of its table
+ * @param {Sheet} sheet - Expenses, Income or Net Worth sheet
+ * @param {number} startRow - First data row
+ * @param {number} idCol - Column of the transaction ID
+ * @param {number} fxCol - First FX column (Currency)
+ * @return {Object} Map of ID to {originalCurrency, originalAmount, fxRate}
+ */
+function getFxColumnsById_(sheet, startRow, idCol, fxCol) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow < startRow) return {};
+
+  const rowCount = lastRow - startRow + 1;
+  const ids = sheet.getRange(startRow, idCol, rowCount, 1).getValues();
+  const fx = sheet.getRange(startRow, fxCol, rowCount, FX_COLUMN_COUNT).getValues();
+
+  const map = {};
+  for (let i = 0; i < rowCount; i++) {
+    const id = ids[i][0];
+    const currency = (fx[i][0] || "").toString().trim();
+    if (!id || !currency) continue;
+
+    map[id.toString()] = {
+      originalCurrency: currency,
+      originalAmount: parseFloat(fx[i][1]) || 0,
+      fxRate: parseFloat(fx[i][2]) || 0
+    };
+  }
+  return map;
+}
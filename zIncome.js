@@ -6,6 +6,7 @@
 /**
  * Get income data from Income sheet range D4:J6000 - OPTIMIZED with fixed range
  * Headers: transactionId | Date | Amount | Name | Account | Source | Notes 📝
+ * Original currency details are joined from K:M (see zCurrency.js)
  * @return {Object} Result with income transactions data
  */
 function getIncomeData() {
@@ -74,6 +75,7 @@ function getIncomeData() {
     const income = [];
     let processedCount = 0;
     let skippedCount = 0;
+    const fxById = getFxColumnsById_(incomeSheet, dataStartRow, 4, 11);
 
     for (let i = 0; i < incomeData.length; i++) {
       const row = incomeData[i];
@@ -113,6 +115,8 @@ function getIncomeData() {
         continue;
       }
 
+      const fx = fxById[transactionId.toString()];
+
       income.push({
         id: transactionId || "INC-" + (i + dataStartRow),
         rowIndex: i + dataStartRow,
@@ -122,7 +126,10 @@ function getIncomeData() {
         amount: parsedAmount,
         account: account.toString(),
         source: source.toString(),
-        notes: notes.toString()
+        notes: notes.toString(),
+        originalCurrency: fx ? fx.originalCurrency : '',
+        originalAmount: fx ? fx.originalAmount : '',
+        fxRate: fx ? fx.fxRate : ''
       });
 
       processedCount++;
@@ -151,78 +158,103 @@ function getIncomeData() {
 
 /**
  * Save batch income transactions - FIXED with correct column order
- * D=transactionId, E=Date, F=Amount, G=Name, H=Account, I=Source, J=Notes
+ * D=transactionId, E=Date, F=Amount, G=Name, H=Account, I=Source, J=Notes,
+ * K=Currency, L=Original Amount, M=FX Rate (blank for base-currency income)
  */
 function saveBatchIncome(income) {
   const sh = getBudgetSheet("Income");
   if (!sh) return { success: false, error: "Income sheet missing" };
 
-  // 1) pull only col D (transactionId), build map + empty‐row list
-  const startRow = 5;
-  const lastRow = Math.max(sh.getLastRow(), startRow);
-  const ids = sh.getRange(startRow, 4, lastRow - startRow + 1).getValues().flat(); // Column D = 4
-  const map = {};
-  const holes = [];
-  ids.forEach((id, i) => {
-    const r = startRow + i;
-    if (id) map[id] = r;
-    else if (holes.length < income.length) holes.push(r);
-  });
+  // Another save could pick the same empty rows; see zLock.js
+  if (!acquireWriteLock_("saveBatchIncome")) return writeRetryResult_();
 
-  // 2) separate out updates vs inserts
-  const toUpdate = [];
-  const toInsert = [];
-  for (const e of income) {
-    if (!e.amount || +e.amount <= 0) continue;
-    const row = map[e.id];
-    
-    // Create values array matching exact header order: D=transactionId, E=Date, F=Amount, G=Name, H=Account, I=Source, J=Notes
-    const values = [
-      e.id,                           // D - transactionId
-      createDateOnly(e.date),              // E - Date  
-      +e.amount,                     // F - Amount
-      e.name || e.description || "", // G - Name
-      e.account && e.account.trim() !== '' ? e.account : 'Other',  // H - Account
-      e.source || "Other",           // I - Source
-      e.notes || ""                  // J - Notes
-    ];
-    
-    if (row) {
-      toUpdate.push({ row, values });
-    } else {
-      const target = holes.length ? holes.shift() : ++lastRow;
-      toInsert.push({ row: target, values });
-      map[e.id] = target;
+  try {
+    // 1) pull only col D (transactionId), build map + empty‐row list
+    const startRow = 5;
+    let lastRow = Math.max(sh.getLastRow(), startRow);
+    const ids = sh.getRange(startRow, 4, lastRow - startRow + 1).getValues().flat(); // Column D = 4
+    const map = {};
+    const holes = [];
+    ids.forEach((id, i) => {
+      const r = startRow + i;
+      if (id) map[id] = r;
+      else if (holes.length < income.length) holes.push(r);
+    });
+
+    // 2) separate out updates vs inserts
+    const toUpdate = [];
+    const toInsert = [];
+    const normalizeFx = createFxNormalizer_();
+    for (const e of income) {
+      const fxValues = normalizeFx(e);
+      if (!e.amount || +e.amount <= 0) continue;
+      const row = map[e.id];
+
+      // Create values array matching exact header order: D=transactionId, E=Date, F=Amount, G=Name, H=Account, I=Source, J=Notes
+      const values = [
+        e.id,                           // D - transactionId
+        createDateOnly(e.date),              // E - Date  
+        +e.amount,                     // F - Amount
+        e.name || e.description || "", // G - Name
+        e.account && e.account.trim() !== '' ? e.account : 'Other',  // H - Account
+        e.source || "Other",           // I - Source
+        e.notes || "",                 // J - Notes
+        ...fxValues                    // K:M - Currency, Original Amount, FX Rate
+      ];
+
+      if (row) {
+        toUpdate.push({ row, values });
+      } else {
+        const target = holes.length ? holes.shift() : ++lastRow;
+        toInsert.push({ row: target, values });
+        map[e.id] = target;
+      }
     }
-  }
 
-  // 3) batch‐write updates (D:J = 7 columns)
-  toUpdate.forEach(u => {
-    sh.getRange(u.row, 4, 1, 7).setValues([u.values]);
-  });
-  
-  // 4) batch‐write inserts (D:J = 7 columns)
-  toInsert.forEach(i => {
-    sh.getRange(i.row, 4, 1, 7).setValues([i.values]);
-  });
-  
-  // Update master timestamp and income timestamp
- updateDataTimestamp('masterData');
-updateDataTimestamp('income');
-  return {
-    success: true,
-    updated: toUpdate.length,
-    inserted: toInsert.length,
-    reused: income.length - toUpdate.length - toInsert.length
-  };
+    // Rows edited on the sheet since the snapshot: write nothing, the client retries
+    const targets = toUpdate.map(u => ({ row: u.row, id: u.values[0] }))
+      .concat(toInsert.map(i => ({ row: i.row, id: "" })));
+    if (!verifyTargetRows_(sh, 4, targets)) return writeRetryResult_(WRITE_CHANGED_MESSAGE);
+
+    const before = readAuditRows_("income", sh, toUpdate.map(u => u.row));
+
+    // 3) batch‐write updates (D:M = 10 columns)
+    toUpdate.forEach(u => {
+      sh.getRange(u.row, 4, 1, 10).setValues([u.values]);
+    });
+
+    // 4) batch‐write inserts (D:M = 10 columns)
+    toInsert.forEach(i => {
+      sh.getRange(i.row, 4, 1, 10).setValues([i.values]);
+    });
+
+    // Update master timestamp and income timestamp
+    updateDataTimestamp('masterData');
+    updateDataTimestamp('income');
+
+    logRowChanges_("saveBatchIncome", "income", sh, before, toUpdate.concat(toInsert).map(w => w.row));
+    return {
+      success: true,
+      updated: toUpdate.length,
+      inserted: toInsert.length,
+      reused: income.length - toUpdate.length - toInsert.length
+    };
+  } catch (error) {
+    Logger.log("Error in saveBatchIncome: " + error.toString());
+    return { success: false, error: error.toString() };
+  } finally {
+    releaseWriteLock_();
+  }
 }
 
 /**
- * Clear income transaction row by ID - searches column D, clears D:J
+ * Clear income transaction row by ID - searches column D, clears D:M
  * @param {string} transactionId - Transaction ID to clear
  * @return {Object} Result object with success status
  */
 function clearIncomeRow(transactionId) {
+  if (!acquireWriteLock_("clearIncomeRow")) return writeRetryResult_();
+
   try {
     // Get the income sheet
     const sheet = getBudgetSheet("Income");
@@ -246,23 +278,30 @@ function clearIncomeRow(transactionId) {
     // Determine the row of the found cell
     const rowIndex = finder.getRow();
     
-    // Clear the cells in that row (columns D through J = 7 columns)
-    sheet.getRange(rowIndex, 4, 1, 7).clearContent();
+    // Keep a copy in the trash so the deletion can be undone
+    const trashed = moveRowsToTrash_("income", sheet, [rowIndex]);
+
+    // Clear the cells in that row (columns D through M = 10 columns)
+    sheet.getRange(rowIndex, 4, 1, 10).clearContent();
     
     // Update master timestamp
     updateDataTimestamp('masterData');
     updateDataTimestamp('income');
+    logRowDeletes_("clearIncomeRow", "income", trashed);
     
     return {
       success: true,
       message: "Income transaction row cleared successfully",
       transactionId,
-      rowIndex
+      rowIndex,
+      trashId: trashed[0].trashId
     };
     
   } catch (e) {
     Logger.log("Error in clearIncomeRow: " + e.toString());
     return { success: false, error: e.toString() };
+  } finally {
+    releaseWriteLock_();
   }
 }
 
@@ -273,6 +312,9 @@ function clearIncomeRow(transactionId) {
 /**
  * Get monthly income and expense totals from Dontedit sheet D6:F130
  * D = Month (MMM YYYY), E = Monthly Income, F = Monthly Spending
+ * The formulas also count recurring occurrences that have their own ledger row
+ * (see zRecurringLedger.js) through the recurring schedule, so those are taken
+ * off here: spending from the Expenses mirror, income from the Income sheet.
  * @return {Object} Result with success status and monthly data array
  */
 function getMonthlyIncomeAndExpenses() {
@@ -286,6 +328,8 @@ function getMonthlyIncomeAndExpenses() {
     // Get monthly data from D6:F130 (Month, Income, Spending)
     const range = sheet.getRange("D6:F130");
     const values = range.getValues();
+    const superseded = getSupersededRecurringSpending_(sheet);
+    const materializedIncome = getMaterializedRecurringIncome_();
     
     const monthlyData = [];
     
@@ -311,8 +355,9 @@ function getMonthlyIncomeAndExpenses() {
       }
       
       // Parse income and expenses
-      const incomeTotal = parseFloat(income) || 0;
-      const expenseTotal = parseFloat(expenses) || 0;
+      const monthKey = monthDate.getFullYear() + "-" + monthDate.getMonth();
+      const incomeTotal = (parseFloat(income) || 0) - (materializedIncome[monthKey] || 0);
+      const expenseTotal = (parseFloat(expenses) || 0) - (superseded[monthKey] || 0);
       
       monthlyData.push({
         month: monthDate.toISOString(),
@@ -343,4 +388,56 @@ function getMonthlyIncomeAndExpenses() {
   }
 }
 
+/**
+ * Spending per month in mirror rows that duplicate a recurring occurrence with its own ledger row
+ * @param {Sheet} sheet - Dontedit sheet
+ * @return {Object} Amount by "yyyy-m" (month 0-11)
+ */
+function getSupersededRecurringSpending_(sheet) {
+  const totals = {};
+  const startRow = 5;
+  const lastRow = sheet.getLastRow();
+  if (lastRow < startRow) return totals;
+
+  const data = sheet.getRange(`FV${startRow}:GB${lastRow}`).getValues();
+  const occurrences = collectRecurringOccurrenceIds_(data.map(row => row[6]));
+  if (occurrences.size === 0) return totals;
+
+  data.forEach(row => {
+    const amount = parseFloat(row[4]);
+    if (!row[1] || isNaN(amount)) return;
+    const date = row[1] instanceof Date ? row[1] : new Date(row[1]);
+    if (isNaN(date.getTime()) || !isSupersededRecurringRow_(row[6], date, occurrences)) return;
+
+    const key = date.getFullYear() + "-" + date.getMonth();
+    totals[key] = (totals[key] || 0) + amount;
+  });
+  return totals;
+}
+
+/**
+ * Income per month in recurring occurrences written to the Income sheet: rows whose
+ * ID is "<recurring id>@yyyy-MM-dd" and whose Source (I) is that recurring ID
+ * @return {Object} Amount by "yyyy-m" (month 0-11)
+ */
+function getMaterializedRecurringIncome_() {
+  const totals = {};
+  const sheet = getBudgetSheet("Income");
+  const startRow = 5;
+  const lastRow = sheet ? sheet.getLastRow() : 0;
+  if (lastRow < startRow) return totals;
+
+  sheet.getRange(`D${startRow}:I${lastRow}`).getValues().forEach(row => {
+    const parentId = getRecurringOccurrenceParentId_(row[0]);
+    const amount = parseFloat(row[2]);
+    if (!parentId || parentId !== (row[5] || "").toString() || !row[1] || isNaN(amount)) return;
+    const date = row[1] instanceof Date ? row[1] : new Date(row[1]);
+    if (isNaN(date.getTime())) return;
+
+    const key = date.getFullYear() + "-" + date.getMonth();
+    totals[key] = (totals[key] || 0) + amount;
+  });
+  return totals;
+}
+
 
@@ -0,0 +1,235 @@
+/**
+ * Serialized writes for budgets shared by several people
+ * Save and clear functions pick their target rows (empty "holes", the next free
+ * row) from a snapshot of the sheet and then write to them. Two people saving at
+ * the same moment could pick the same empty row, so every batch save and clear
+ * runs while holding a lock, and re-checks its target rows just before writing.
+ *
+ * The lock is a lease per budget spreadsheet, kept in the script cache. The web
+ * app is one standalone script for everyone, so LockService alone would make
+ * every user wait for every other user's save. The script lock is only held for
+ * the moment it takes to claim or release a lease.
+ *
+ * When the lock can't be had in time, or a target row changed in the meantime,
+ * nothing is written and the function returns
+ *   { success: false, error, retry: true }
+ * TransactionManager keeps such expenses queued and saves them again shortly.
+ *
+ * Usage:
+ *   if (!acquireWriteLock_("saveBatchIncome")) return writeRetryResult_();
+ *   try { ... } finally { releaseWriteLock_(); }
+ *
+ * The JSON datasets in Dontedit (budgets, settings, goals, rules, payees,
+ * reimbursements) are rewritten whole on every save, so a save from one device
+ * could silently erase edits made on another. Each of them carries a revision number that goes up by one on every
+ * save. Saves send the revision the client last read and are rejected with
+ *   { success: false, conflict: true, dataset, revision, error }
+ * when the stored revision is different.
+ */
+
+const WRITE_LOCK_TIMEOUT_MS = 10000;
+const WRITE_LEASE_SECONDS = 120; // A lease left by a failed execution blocks saves at most this long
+const WRITE_LEASE_POLL_MS = 250;
+const WRITE_LEASE_CLAIM_MS = 2000; // Wait for the script lock while claiming or releasing a lease
+const WRITE_RETRY_MESSAGE = "Someone else is saving to this budget right now, please try again";
+const WRITE_CHANGED_MESSAGE = "The sheet changed while saving, please try again";
+const DATASET_CONFLICT_MESSAGE = "This was changed on another device. Reload to get the latest version, then make your change again";
+
+// Dontedit cells of the JSON datasets that carry a revision
+const DATASET_CELLS = {
+  netWorthGoals: "K6",
+  sinkingFunds: "K7",
+  settings: "K8",
+  rules: "K9",
+  budget: "K10",
+  payees: "K14",
+  reimbursements: "K15"
+};
+
+// Nested writes (saveQueuedExpenses -> saveBatchExpenses) reuse the lease already held
+let writeLease_ = null;
+let writeLockDepth_ = 0;
+
+/**
+ * Take the write lock of the current user's budget spreadsheet
+ * Waits up to WRITE_LOCK_TIMEOUT_MS while someone else saves to the same budget.
+ * Saves to other budgets don't wait.
+ * @param {string} operation - Calling function, for the log
+ * @return {boolean} Whether the lock is held (call releaseWriteLock_ afterwards)
+ */
+function acquireWriteLock_(operation) {
+  if (writeLockDepth_ > 0) {
+    writeLockDepth_++;
+    return true;
+  }
+
+  const key = getWriteLeaseKey_();
+  const token = Utilities.getUuid();
+  const deadline = Date.now() + WRITE_LOCK_TIMEOUT_MS;
+
+  while (!claimWriteLease_(key, token)) {
+    if (Date.now() + WRITE_LEASE_POLL_MS > deadline) {
+      Logger.log(`${operation}: write lock busy after ${WRITE_LOCK_TIMEOUT_MS}ms`);
+      return false;
+    }
+    Utilities.sleep(WRITE_LEASE_POLL_MS);
+  }
+
+  writeLease_ = { key: key, token: token };
+  writeLockDepth_ = 1;
+  return true;
+}
+
+/**
+ * Release the budget write lock taken with acquireWriteLock_
+ * Pending writes are flushed first, so the next holder reads them.
+ */
+function releaseWriteLock_() {
+  if (writeLockDepth_ === 0) return;
+  writeLockDepth_--;
+  if (writeLockDepth_ > 0) return;
+
+  try {
+    SpreadsheetApp.flush();
+  } finally {
+    const lease = writeLease_;
+    writeLease_ = null;
+    const lock = LockService.getScriptLock();
+    const locked = lock.tryLock(WRITE_LEASE_CLAIM_MS);
+    try {
+      // Only remove our own lease: after WRITE_LEASE_SECONDS someone else may hold it
+      const cache = CacheService.getScriptCache();
+      if (cache.get(lease.key) === lease.token) cache.remove(lease.key);
+    } finally {
+      if (locked) lock.releaseLock();
+    }
+  }
+}
+
+/**
+ * Whether this execution holds the write lock (a save calling another save)
+ * @return {boolean} True while inside acquireWriteLock_/releaseWriteLock_
+ */
+function isWriteLockHeld_() {
+  return writeLockDepth_ > 0;
+}
+
+/**
+ * Claim the write lease of a budget if nobody holds it
+ * The script lock makes the check and the claim one step.
+ * @param {string} key - Cache key from getWriteLeaseKey_
+ * @param {string} token - Identifies this execution's lease
+ * @return {boolean} Whether the lease was claimed
+ */
+function claimWriteLease_(key, token) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(WRITE_LEASE_CLAIM_MS)) return false;
+
+  try {
+    const cache = CacheService.getScriptCache();
+    if (cache.get(key)) return false;
+    cache.put(key, token, WRITE_LEASE_SECONDS);
+    return true;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Cache key of the write lease for the current user's budget spreadsheet
+ * @return {string} Key based on the spreadsheet ID
+ */
+function getWriteLeaseKey_() {
+  const sheetUrl = PropertiesService.getUserProperties().getProperty("BUDGET_SHEET_URL") || "";
+  const match = sheetUrl.match(/\/d\/([a-zA-Z0-9_-]+)/);
+  return "writeLease:" + (match ? match[1] : sheetUrl);
+}
+
+/**
+ * Result returned when a write should be tried again later
+ * @param {string} message - Optional error message
+ * @return {Object} Failed result marked retry
+ */
+function writeRetryResult_(message) {
+  return { success: false, error: message || WRITE_RETRY_MESSAGE, retry: true };
+}
+
+/**
+ * Check that target rows still hold what a write expects, just before writing
+ * Rows below the sheet's last row are empty and not read.
+ * @param {Sheet} sheet - Sheet to check
+ * @param {number} column - ID column
+ * @param {Array} targets - [{row, id}], with id "" for rows expected to be empty
+ * @return {boolean} Whether every row matches
+ */
+function verifyTargetRows_(sheet, column, targets) {
+  const lastRow = sheet.getLastRow();
+  const inSheet = targets.filter(t => t.row <= lastRow);
+  if (inSheet.length === 0) return true;
+
+  const rows = inSheet.map(t => t.row);
+  const firstRow = Math.min.apply(null, rows);
+  const ids = sheet.getRange(firstRow, column, Math.max.apply(null, rows) - firstRow + 1, 1).getValues();
+
+  return inSheet.every(t => (ids[t.row - firstRow][0] || "").toString() === (t.id || "").toString());
+}
+
+/**
+ * Read the revision stored in a JSON dataset cell (0 when it has none yet)
+ * @param {Sheet} sheet - Dontedit sheet
+ * @param {string} cell - A1 notation of the cell
+ * @return {number} Revision
+ */
+function readCellRevision_(sheet, cell) {
+  const raw = sheet.getRange(cell).getValue();
+  if (!raw) return 0;
+
+  try {
+    const parsed = JSON.parse(raw.toString());
+    return parsed && !Array.isArray(parsed) ? (parseInt(parsed.revision, 10) || 0) : 0;
+  } catch (e) {
+    return 0;
+  }
+}
+
+/**
+ * Get the current revision of a JSON dataset
+ * @param {string} dataset - Key of DATASET_CELLS
+ * @param {Sheet} sheet - Optional Dontedit sheet
+ * @return {number} Revision
+ */
+function getDatasetRevision_(dataset, sheet) {
+  return readCellRevision_(sheet || getBudgetSheet("Dontedit"), DATASET_CELLS[dataset]);
+}
+
+/**
+ * Check the revision a save started from against the stored one
+ * Call while holding the write lock, so nothing changes between check and write.
+ * @param {Sheet} sheet - Dontedit sheet
+ * @param {string} dataset - Key of DATASET_CELLS
+ * @param {number} expectedRevision - Revision the client last read. Without one the
+ *   save only goes through while the dataset has never been saved with a revision:
+ *   a client that never read one (an older cache) can't know what it overwrites.
+ *   Server-side callers holding the lock pass getDatasetRevision_(dataset).
+ * @return {Object} { conflict: failed result to return, or null; revision: revision to write }
+ */
+function checkDatasetRevision_(sheet, dataset, expectedRevision) {
+  const current = getDatasetRevision_(dataset, sheet);
+  const missing = expectedRevision === null || expectedRevision === undefined || expectedRevision === "";
+
+  if (missing ? current > 0 : Number(expectedRevision) !== current) {
+    Logger.log(`${dataset}: save based on revision ${expectedRevision}, stored revision is ${current}`);
+    return {
+      conflict: {
+        success: false,
+        conflict: true,
+        dataset: dataset,
+        revision: current,
+        error: DATASET_CONFLICT_MESSAGE
+      },
+      revision: current
+    };
+  }
+
+  return { conflict: null, revision: current + 1 };
+}
@@ -66,6 +66,7 @@ function getNetWorthData() {
         success: true,
         entries: [],
         goals: getNetWorthGoalsFromDontedit_(),
+        goalsRevision: getDatasetRevision_("netWorthGoals"),
         timestamp: timestamp,
         meta: {
           totalRows: 0,
@@ -101,6 +102,7 @@ function getNetWorthData() {
         success: true,
         entries: [],
         goals: getNetWorthGoalsFromDontedit_(),
+        goalsRevision: getDatasetRevision_("netWorthGoals"),
         timestamp: timestamp,
         meta: {
           totalRows: 0,
@@ -121,6 +123,9 @@ function getNetWorthData() {
     const entries = [];
     let processedCount = 0;
     let skippedCount = 0;
+
+    // Original currency details (L:N, see zCurrency.js)
+    const fxById = getFxColumnsById_(netWorthSheet, dataStartRow, 3, 12);
     
     for (let i = 0; i < dataRows.length; i++) {
       const row = dataRows[i];
@@ -164,6 +169,7 @@ function getNetWorthData() {
 
       // Use the asset ID from column, or generate one if not present
       const finalAssetId = assetId ? assetId.toString() : generateAssetId();
+      const fx = fxById[finalAssetId];
       
       entries.push({
         id: finalAssetId,
@@ -176,7 +182,10 @@ function getNetWorthData() {
         amount: parsedAmount,
         change: row[COL.CHANGE] ? row[COL.CHANGE].toString() : '',
         changeAmount: isNaN(parsedChangeAmount) ? 0 : parsedChangeAmount,
-        notes: row[COL.NOTES] ? row[COL.NOTES].toString() : ''
+        notes: row[COL.NOTES] ? row[COL.NOTES].toString() : '',
+        originalCurrency: fx ? fx.originalCurrency : '',
+        originalAmount: fx ? fx.originalAmount : '',
+        fxRate: fx ? fx.fxRate : ''
       });
 
       processedCount++;
@@ -189,6 +198,7 @@ function getNetWorthData() {
       success: true,
       entries: entries,
       goals: goals,
+      goalsRevision: getDatasetRevision_("netWorthGoals"),
       timestamp: timestamp,
       meta: {
         totalRows: dataRows.length,
@@ -240,9 +250,12 @@ function getNetWorthGoalsFromDontedit_() {
 /**
  * Write net worth goals to Dontedit K6 and update J6 timestamp
  * @param {Object|Array} payload - {goals:[...]} or goals array
- * @return {Object} Result with timestamp
+ * @param {number} expectedRevision - Revision the client last read (see zLock.js)
+ * @return {Object} Result with timestamp and the new revision
  */
-function saveNetWorthGoals(payload) {
+function saveNetWorthGoals(payload, expectedRevision) {
+  if (!acquireWriteLock_("saveNetWorthGoals")) return writeRetryResult_();
+
   try {
     const sheet = getBudgetSheet("Dontedit");
     if (!sheet) {
@@ -253,7 +266,16 @@ function saveNetWorthGoals(payload) {
       ? payload
       : (payload && Array.isArray(payload.goals) ? payload.goals : []);
 
-    sheet.getRange("K6").setValue(JSON.stringify({ goals: goalsArray }));
+    const check = checkDatasetRevision_(sheet, "netWorthGoals", expectedRevision);
+    if (check.conflict) return check.conflict;
+
+    const previous = readAuditJsonCell_(sheet, "K6");
+    sheet.getRange("K6").setValue(JSON.stringify({ goals: goalsArray, revision: check.revision }));
+
+    const changes = diffAuditObjects_(previous, { goals: goalsArray });
+    if (changes) {
+      logAudit_("saveNetWorthGoals", "netWorthGoals", [], changes.before, changes.after);
+    }
 
     // Update timestamp in J6
     updateDataTimestamp('netWorth');
@@ -263,10 +285,13 @@ function saveNetWorthGoals(payload) {
     return {
       success: true,
       goals: goalsArray,
+      goalsRevision: check.revision,
       timestamp: timestamp
     };
   } catch (error) {
     return { success: false, error: error.toString() };
+  } finally {
+    releaseWriteLock_();
   }
 }
 
@@ -301,8 +326,8 @@ function getNetWorthTimestamp_() {
  * @return {Object} Result object with success status
  */
 function saveBatchNetWorth(entries) {
+  if (!acquireWriteLock_("saveBatchNetWorth")) return writeRetryResult_();
 
-  
   try {
     const sheet = getBudgetSheet("Net Worth");
     
@@ -351,13 +376,15 @@ function saveBatchNetWorth(entries) {
     const toUpdate = [];
     const toInsert = [];
     let nextNewRow = lastRow + 1;
+    const normalizeFx = createFxNormalizer_();
 
     for (const entry of entries) {
+      const fxValues = normalizeFx(entry);
       if (entry.amount === undefined || entry.amount === null || isNaN(parseFloat(entry.amount))) {
         continue;
       }
 
-      // Create values array for spreadsheet (C:K columns)
+      // Create values array for spreadsheet (C:N columns)
       const values = [
         entry.id || entry.assetId || generateAssetId(), // C - Asset ID
         createMonthYearOnly(entry.date),                          // D - Date
@@ -367,7 +394,8 @@ function saveBatchNetWorth(entries) {
         parseFloat(entry.amount) || 0,                 // H - Amount
         entry.change || '',                            // I - Change
         parseFloat(entry.changeAmount) || 0,           // J - Change Amount
-        entry.notes || ''                              // K - Notes
+        entry.notes || '',                             // K - Notes
+        ...fxValues                                    // L:N - Currency, Original Amount, FX Rate
       ];
       
       // Check if this entry's ID exists in the map
@@ -387,20 +415,28 @@ function saveBatchNetWorth(entries) {
       }
     }
 
+    // Rows edited on the sheet since they were read: write nothing, the client retries
+    const targets = toUpdate.map(update => ({ row: update.row, id: update.values[0] }))
+      .concat(toInsert.map(insert => ({ row: insert.row, id: '' })));
+    if (!verifyTargetRows_(sheet, 3, targets)) return writeRetryResult_(WRITE_CHANGED_MESSAGE);
+
+    const before = readAuditRows_("netWorth", sheet, toUpdate.map(update => update.row));
 
     // Execute updates
     toUpdate.forEach(update => {
-      sheet.getRange(update.row, 3, 1, 9).setValues([update.values]); // C:K = 9 columns
+      sheet.getRange(update.row, 3, 1, 12).setValues([update.values]); // C:N = 12 columns
     });
     
     // Execute inserts
     toInsert.forEach(insert => {
-      sheet.getRange(insert.row, 3, 1, 9).setValues([insert.values]); // C:K = 9 columns
+      sheet.getRange(insert.row, 3, 1, 12).setValues([insert.values]); // C:N = 12 columns
     });
     
     // Update timestamp
     updateDataTimestamp('netWorth');
     const timestamp = getNetWorthTimestamp_();
+
+    logRowChanges_("saveBatchNetWorth", "netWorth", sheet, before, toUpdate.concat(toInsert).map(w => w.row));
     
 
     // Prepare the list of entries to return for client-side update
@@ -427,7 +463,10 @@ function saveBatchNetWorth(entries) {
         amount: item.values[5],      // H - Amount
         change: item.values[6],      // I - Change
         changeAmount: item.values[7], // J - Change Amount
-        notes: item.values[8]         // K - Notes
+        notes: item.values[8],        // K - Notes
+        originalCurrency: item.values[9],
+        originalAmount: item.values[10],
+        fxRate: item.values[11]
       });
     });
 
@@ -445,6 +484,8 @@ function saveBatchNetWorth(entries) {
       success: false, 
       error: error.toString() 
     };
+  } finally {
+    releaseWriteLock_();
   }
 }
 
@@ -455,8 +496,8 @@ function saveBatchNetWorth(entries) {
  * @return {Object} Result object with success status
  */
 function clearNetWorthRow(identifier) {
- 
-  
+  if (!acquireWriteLock_("clearNetWorthRow")) return writeRetryResult_();
+
   try {
     const sheet = getBudgetSheet("Net Worth");
     
@@ -508,11 +549,15 @@ function clearNetWorthRow(identifier) {
       };
     }
 
-    // Clear the row (columns C through K = 9 columns)
-    sheet.getRange(rowToDelete, 3, 1, 9).clearContent();
+    // Keep a copy in the trash so the deletion can be undone
+    const trashed = moveRowsToTrash_("netWorth", sheet, [rowToDelete]);
+
+    // Clear the row (columns C through N = 12 columns, including the FX columns)
+    sheet.getRange(rowToDelete, 3, 1, 12).clearContent();
     
     // Update timestamp
     updateDataTimestamp('netWorth');
+    logRowDeletes_("clearNetWorthRow", "netWorth", trashed);
 
     const timestamp = getNetWorthTimestamp_();
     
@@ -521,7 +566,8 @@ function clearNetWorthRow(identifier) {
       message: "Net worth entry cleared successfully",
       identifier: identifier,
       rowIndex: rowToDelete,
-      timestamp: timestamp
+      timestamp: timestamp,
+      trashId: trashed[0].trashId
     };
     
   } catch (error) {
@@ -529,6 +575,8 @@ function clearNetWorthRow(identifier) {
       success: false, 
       error: error.toString() 
     };
+  } finally {
+    releaseWriteLock_();
   }
 }
 
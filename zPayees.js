@@ -0,0 +1,296 @@
+/**
+ * Payee directory for Simplify Budget
+ * Expense names are free text, so one shop shows up under several names
+ * ("AMZN Mktp US*2K3", "Amazon", "amazon.com"). The directory maps such names
+ * to one payee. It is stored as JSON in Dontedit K14:
+ * {
+ *   payees: [{ id: "payee-1719999999999", name: "Amazon", aliases: ["AMZN Mktp", "amazon.com"] }],
+ *   version: 1,
+ *   revision: 3
+ * }
+ *
+ * Names are compared by their letters and digits only, ignoring case, so
+ * "Amazon.com" matches the alias "amazon com". An alias also matches a name
+ * that starts with it as whole words: "AMZN Mktp" matches "AMZN Mktp US*2K3".
+ * The longest matching alias wins.
+ *
+ * saveBatchExpenses writes the payee's name to the Expenses sheet (H) and keeps
+ * the text as entered in column O, next to the original currency columns.
+ * Stats (getPayeeStats) group by the directory as it is now, so expenses saved
+ * before an alias was added are counted under the payee too.
+ */
+
+const PAYEES_CELL = "K14";
+const PAYEE_NAME_MAX_LENGTH = 80;
+const EXPENSE_ORIGINAL_NAME_COLUMN = 15; // O
+
+/**
+ * Read the payee directory from Dontedit K14
+ * @return {Object} Result with payees and revision
+ */
+function getPayeeDirectory() {
+  try {
+    return {
+      success: true,
+      payees: getPayeesFromDontedit_(),
+      revision: getDatasetRevision_("payees")
+    };
+  } catch (error) {
+    Logger.log("Error in getPayeeDirectory: " + error.toString());
+    return { success: false, error: error.toString() };
+  }
+}
+
+/**
+ * Save the payee directory to Dontedit K14
+ * A name or alias may belong to one payee only.
+ * @param {Array} payees - [{id, name, aliases}]
+ * @param {number} expectedRevision - Revision the client last read (see zLock.js)
+ * @return {Object} Result with the cleaned payees and the new revision
+ */
+function savePayeeDirectory(payees, expectedRevision) {
+  if (!acquireWriteLock_("savePayeeDirectory")) return writeRetryResult_();
+
+  try {
+    const sheet = getBudgetSheet("Dontedit");
+    if (!Array.isArray(payees)) {
+      return { success: false, error: "Payees must be an array" };
+    }
+
+    const cleanPayees = [];
+    const owners = {};
+    for (let i = 0; i < payees.length; i++) {
+      const payee = payees[i] || {};
+      const name = (payee.name || "").toString().trim().replace(/\s+/g, " ").slice(0, PAYEE_NAME_MAX_LENGTH);
+      if (!payeeKey_(name)) {
+        return { success: false, error: `Payee ${i + 1}: name is required` };
+      }
+
+      const aliases = [];
+      const texts = [name].concat(Array.isArray(payee.aliases) ? payee.aliases : []);
+      for (let j = 0; j < texts.length; j++) {
+        const text = (texts[j] || "").toString().trim().replace(/\s+/g, " ").slice(0, PAYEE_NAME_MAX_LENGTH);
+        const key = payeeKey_(text);
+        if (!key) continue;
+
+        if (owners[key] !== undefined && owners[key] !== i) {
+          return { success: false, error: `"${text}" belongs to both ${cleanPayees[owners[key]].name} and ${name}` };
+        }
+        if (owners[key] === i) continue; // Same name twice for one payee
+        owners[key] = i;
+        if (j > 0) aliases.push(text);
+      }
+
+      cleanPayees.push({
+        id: payee.id || `payee-${Date.now()}-${i}`,
+        name: name,
+        aliases: aliases
+      });
+    }
+
+    const check = checkDatasetRevision_(sheet, "payees", expectedRevision);
+    if (check.conflict) return check.conflict;
+
+    const previous = getPayeesFromDontedit_();
+    sheet.getRange(PAYEES_CELL).setValue(JSON.stringify({ payees: cleanPayees, version: 1, revision: check.revision }));
+
+    const changes = diffAuditObjects_(auditById_(previous), auditById_(cleanPayees));
+    if (changes) {
+      const ids = Object.keys(Object.assign({}, changes.before, changes.after));
+      logAudit_("savePayeeDirectory", "payees", ids, changes.before, changes.after);
+    }
+
+    return {
+      success: true,
+      payees: cleanPayees,
+      revision: check.revision
+    };
+  } catch (error) {
+    Logger.log("Error in savePayeeDirectory: " + error.toString());
+    return { success: false, error: error.toString() };
+  } finally {
+    releaseWriteLock_();
+  }
+}
+
+/**
+ * Spending per payee over every expense, biggest total first
+ * @return {Object} Result with payees [{name, payeeId, inDirectory, total, count,
+ *   averageTicket, perMonth, averageDaysBetween, firstDate, lastDate: "yyyy-MM-dd",
+ *   topCategory, seenAs: [names as entered]}]
+ */
+function getPayeeStats() {
+  try {
+    const data = getExpenseData(null, null);
+    if (!data.success) return data;
+
+    const normalize = createPayeeNormalizer_();
+    const byPayee = {};
+
+    data.expenses.forEach(expense => {
+      const entered = expense.originalName || expense.name;
+      const payee = normalize(entered);
+      const key = payeeKey_(payee.name);
+      if (!key) return;
+
+      const date = parsePayeeExpenseDate_(expense.date);
+      if (!byPayee[key]) {
+        byPayee[key] = {
+          name: payee.name,
+          payeeId: payee.payeeId,
+          total: 0,
+          count: 0,
+          first: null,
+          last: null,
+          categories: {},
+          seenAs: {}
+        };
+      }
+
+      const stats = byPayee[key];
+      stats.total += expense.amount;
+      stats.count++;
+      if (!isNaN(date.getTime())) {
+        if (!stats.first || date < stats.first) stats.first = date;
+        if (!stats.last || date > stats.last) stats.last = date;
+      }
+      stats.categories[expense.category] = (stats.categories[expense.category] || 0) + expense.amount;
+      if (entered.trim() && entered.trim() !== payee.name) stats.seenAs[entered.trim()] = true;
+    });
+
+    const payees = Object.keys(byPayee).map(key => {
+      const stats = byPayee[key];
+      const days = stats.first && stats.last ? Math.round((stats.last - stats.first) / 86400000) : 0;
+      const topCategory = Object.keys(stats.categories)
+        .sort((a, b) => stats.categories[b] - stats.categories[a])[0] || "";
+
+      return {
+        name: stats.name,
+        payeeId: stats.payeeId,
+        inDirectory: !!stats.payeeId,
+        total: Math.round(stats.total * 100) / 100,
+        count: stats.count,
+        averageTicket: Math.round(stats.total / stats.count * 100) / 100,
+        // Months between the first and last purchase, at least one
+        perMonth: Math.round(stats.count / Math.max(1, days / 30.44) * 10) / 10,
+        averageDaysBetween: stats.count > 1 ? Math.round(days / (stats.count - 1)) : null,
+        firstDate: stats.first ? formatReminderDate_(stats.first) : "",
+        lastDate: stats.last ? formatReminderDate_(stats.last) : "",
+        topCategory: topCategory,
+        seenAs: Object.keys(stats.seenAs).sort()
+      };
+    });
+
+    payees.sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+
+    return {
+      success: true,
+      payees: payees,
+      expenseCount: data.expenses.length
+    };
+  } catch (error) {
+    Logger.log("Error in getPayeeStats: " + error.toString());
+    return { success: false, error: error.toString() };
+  }
+}
+
+/**
+ * Create a function that maps an entered name to its payee
+ * The directory is read on first use, so saves without names don't read it.
+ * @return {Function} name -> { name: payee name (or the name as entered, trimmed),
+ *   payeeId: "" when no payee matches, original: entered text when it differs, else "" }
+ */
+function createPayeeNormalizer_() {
+  let entries = null;
+
+  return function(text) {
+    const entered = (text || "").toString().trim();
+    const key = payeeKey_(entered);
+    if (!key) return { name: entered, payeeId: "", original: "" };
+
+    if (!entries) {
+      entries = [];
+      getPayeesFromDontedit_().forEach(payee => {
+        [payee.name].concat(payee.aliases || []).forEach(alias => {
+          const aliasKey = payeeKey_(alias);
+          if (aliasKey) entries.push({ key: aliasKey, payee: payee });
+        });
+      });
+      entries.sort((a, b) => b.key.length - a.key.length);
+    }
+
+    const match = entries.find(entry => key === entry.key || key.indexOf(entry.key + " ") === 0);
+    if (!match) return { name: entered, payeeId: "", original: "" };
+
+    return {
+      name: match.payee.name,
+      payeeId: match.payee.id,
+      original: entered !== match.payee.name ? entered : ""
+    };
+  };
+}
+
+/**
+ * Read the payees array from Dontedit K14 (empty array when unset or invalid)
+ * @return {Array} Payees
+ */
+function getPayeesFromDontedit_() {
+  const raw = getBudgetSheet("Dontedit").getRange(PAYEES_CELL).getValue();
+  if (!raw) return [];
+
+  try {
+    const parsed = JSON.parse(raw.toString());
+    return parsed && Array.isArray(parsed.payees) ? parsed.payees : [];
+  } catch (e) {
+    Logger.log("Invalid JSON in payees cell " + PAYEES_CELL + ": " + e.toString());
+    return [];
+  }
+}
+
+/**
+ * Names as entered (Expenses column O) keyed by transaction ID
+ * @param {Sheet} sheet - Expenses sheet
+ * @param {number} startRow - First data row
+ * @return {Object} Map of ID to original name (rows without one are left out)
+ */
+function getOriginalNamesById_(sheet, startRow) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow < startRow) return {};
+
+  const rowCount = lastRow - startRow + 1;
+  const ids = sheet.getRange(startRow, 4, rowCount, 1).getValues();
+  const names = sheet.getRange(startRow, EXPENSE_ORIGINAL_NAME_COLUMN, rowCount, 1).getValues();
+
+  const map = {};
+  for (let i = 0; i < rowCount; i++) {
+    const name = (names[i][0] || "").toString();
+    if (ids[i][0] && name) map[ids[i][0].toString()] = name;
+  }
+  return map;
+}
+
+/**
+ * Comparison key of a name: letters and digits in lower case, single spaces
+ * @param {string} text - Name
+ * @return {string} Key, "" when the name has no letters or digits
+ */
+function payeeKey_(text) {
+  return (text || "").toString().toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+}
+
+/**
+ * Parse an expense date as getExpenseData shows it ("1 Jul 2025"), like
+ * CacheManager.parseExpenseDate on the client
+ * @param {string} value - Date text
+ * @return {Date} Date (invalid when it can't be read)
+ */
+function parsePayeeExpenseDate_(value) {
+  const text = (value || "").toString().trim();
+  const parts = text.split(/\s+/);
+  const months = { Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5, Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11 };
+
+  if (parts.length === 3 && months[parts[1]] !== undefined) {
+    return new Date(parseInt(parts[2], 10), months[parts[1]], parseInt(parts[0], 10));
+  }
+  return new Date(text);
+}
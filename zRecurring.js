@@ -138,6 +138,7 @@ function getRecurringData() {
 
       // Build transaction object
       recurring.push({
+        // Until ensureRecurringIds_ gives the row a real ID (see saveRecurringTransaction)
         id: transactionId || `recurring-${i + dataStartRow}`,
         rowIndex: i + dataStartRow, // Actual sheet row number
         startDate: startDate,
@@ -185,6 +186,8 @@ function getRecurringData() {
  * @return {Object} Result object
  */
 function clearRecurringTransaction(transactionId) {
+  if (!acquireWriteLock_("clearRecurringTransaction")) return writeRetryResult_();
+
   try {
     const sheet = getBudgetSheet("Recurring");
     
@@ -207,33 +210,80 @@ function clearRecurringTransaction(transactionId) {
     }
 
     const rowIndex = finder.getRow();
+
+    // Keep a copy in the trash so the deletion can be undone
+    const trashed = moveRowsToTrash_("recurring", sheet, [rowIndex]);
     
     // Clear only columns C through N(12 columns)
     sheet.getRange(rowIndex, 3, 1, 12).clearContent();
     // Update any caches
    updateDataTimestamp('masterData');
     updateDataTimestamp('recurring');
+    logRowDeletes_("clearRecurringTransaction", "recurring", trashed);
     
     return {
       success: true,
       message: "Recurring transaction row cleared successfully",
       transactionId: transactionId,
-      rowIndex: rowIndex
+      rowIndex: rowIndex,
+      trashId: trashed[0].trashId
     };
 
   } catch (error) {
     Logger.log("Error in clearRecurringTransaction: " + error.toString());
     return { success: false, error: error.toString() };
+  } finally {
+    releaseWriteLock_();
   }
 }
 
 
+// Frequencies the client schedule understands (Utils.RecurringSchedule),
+// keyed by lowercase alias -> text written to column H
+const RECURRING_FREQUENCIES = {
+  'weekly': 'Weekly',
+  'bi-weekly': 'Bi-weekly',
+  'biweekly': 'Bi-weekly',
+  'fortnightly': 'Bi-weekly',
+  'semi-monthly': 'Semi-monthly',
+  'semimonthly': 'Semi-monthly',
+  'monthly': 'Monthly',
+  'quarterly': 'Quarterly',
+  'yearly': 'Yearly',
+  'annual': 'Yearly',
+  'annually': 'Yearly'
+};
+
+/**
+ * Normalize a frequency to the text stored in the Recurring sheet
+ * Accepts the presets above and custom intervals like "every 10 days".
+ * @param {string} frequency - Frequency from the client
+ * @return {string} Normalized frequency, or '' if not recognised
+ */
+function normalizeRecurringFrequency_(frequency) {
+  const value = (frequency || 'Monthly').toString().trim().toLowerCase();
+
+  if (RECURRING_FREQUENCIES[value]) {
+    return RECURRING_FREQUENCIES[value];
+  }
+
+  const custom = value.match(/^every\s+(\d+)\s*(day|week|month|year)s?$/);
+  if (custom && parseInt(custom[1], 10) >= 1) {
+    const interval = parseInt(custom[1], 10);
+    return `Every ${interval} ${custom[2]}${interval === 1 ? '' : 's'}`;
+  }
+
+  return '';
+}
+
 /**
  * Optimized saveRecurringTransaction - Fixed range C6:N500 for maximum performance
  * @param {Array} recurring - Array of recurring transaction objects
  * @return {Object} Result object
  */
 function saveRecurringTransaction(recurring) {
+  if (!acquireWriteLock_("saveRecurringTransaction")) return writeRetryResult_();
+
   try {
     const sheet = getBudgetSheet("Recurring");
     
@@ -241,6 +291,20 @@ function saveRecurringTransaction(recurring) {
       return { success: false, error: "Recurring sheet not found" };
     }
 
+    // Reject unknown frequencies before anything is written
+    for (const item of recurring) {
+      if (!normalizeRecurringFrequency_(item.frequency)) {
+        return { success: false, error: `Unsupported frequency "${item.frequency}" for ${item.name || item.id}` };
+      }
+    }
+
+    // Rows typed in without an ID get one first, so they aren't taken for empty rows.
+    // An edit of such a row still carries the "recurring-<row>" ID getRecurringData gave it.
+    const assignedIds = ensureRecurringIds_(sheet);
+    recurring.forEach(item => {
+      if (assignedIds[item.id]) item.id = assignedIds[item.id];
+    });
+
     // FIXED RANGE: Read existing data C6:N500 (495 rows, 12 columns)
     const FIXED_DATA_RANGE = "C6:N500";
     const existingData = sheet.getRange(FIXED_DATA_RANGE).getValues();
@@ -302,7 +366,7 @@ function saveRecurringTransaction(recurring) {
       }
       
       values[COL.TYPE] = item.type || 'TRUE';
-      values[COL.FREQUENCY] = item.frequency || 'Monthly';
+      values[COL.FREQUENCY] = normalizeRecurringFrequency_(item.frequency);
       values[COL.AMOUNT] = parseFloat(item.amount) || 0;
       values[COL.ACCOUNT] = (item.account && item.account.trim() !== '') ? item.account : 'Other';
       values[COL.END_DATE] = item.endDate ? createDateOnly(item.endDate) : '';
@@ -351,6 +415,15 @@ function saveRecurringTransaction(recurring) {
 
     // Write only changed rows instead of entire range
     const changedRows = Array.from(updatedRows);
+
+    // Rows edited on the sheet since they were read: write nothing, the client retries
+    const targets = changedRows.map(rowIndex => ({
+      row: rowIndex + 6,
+      id: (existingData[rowIndex][COL.TRANSACTION_ID] || '').toString()
+    }));
+    if (!verifyTargetRows_(sheet, 3, targets)) return writeRetryResult_(WRITE_CHANGED_MESSAGE);
+
+    const before = readAuditRows_("recurring", sheet, changedRows.map(rowIndex => rowIndex + 6));
     for (const rowIndex of changedRows) {
       const sheetRow = rowIndex + 6; // Convert to actual sheet row number
       sheet.getRange(sheetRow, 3, 1, 12).setValues([rowsToUpdate[rowIndex]]);
@@ -360,6 +433,7 @@ function saveRecurringTransaction(recurring) {
     updateDataTimestamp('masterData');
     updateDataTimestamp('recurring');
 
+    logRowChanges_("saveRecurringTransaction", "recurring", sheet, before, changedRows.map(rowIndex => rowIndex + 6));
 
     return {
       success: true,
@@ -372,5 +446,163 @@ function saveRecurringTransaction(recurring) {
   } catch (error) {
     Logger.log("Error in saveRecurringTransaction: " + error.toString());
     return { success: false, error: error.toString() };
+  } finally {
+    releaseWriteLock_();
+  }
+}
+
+/**
+ * Give Recurring rows typed in on the sheet without an ID a permanent one
+ * Reminder state (K12) and ledger progress (K13) are keyed by the ID, so it must
+ * not depend on the row's position. Call while holding the write lock.
+ * @param {Sheet} sheet - Recurring sheet
+ * @return {Object} Map of the IDs getRecurringData showed for those rows
+ *   ("recurring-<row>") to the IDs they got
+ */
+function ensureRecurringIds_(sheet) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 6) return {};
+
+  const values = sheet.getRange(`C6:E${lastRow}`).getValues();
+  const stamp = Date.now();
+  const assigned = {};
+  values.forEach((row, i) => {
+    if ((row[0] || '').toString().trim() || !(row[2] || '').toString().trim()) return;
+    const id = `REC-${stamp}-${i + 6}`;
+    sheet.getRange(i + 6, 3).setValue(id);
+    assigned[`recurring-${i + 6}`] = id;
+  });
+
+  if (Object.keys(assigned).length > 0) {
+    Logger.log(`ensureRecurringIds_: gave ${Object.keys(assigned).length} recurring rows an ID`);
+    updateDataTimestamp('recurring');
   }
-}
\ No newline at end of file
+  return assigned;
+}
+
+// Server-side copy of Utils.RecurringSchedule (Utils.html), for reminders and
+// anything else that needs due dates without the client. Keep the two in step.
+
+/**
+ * Parse a frequency string into an interval rule
+ * @param {string} frequency - Frequency text from the sheet
+ * @return {Object} { unit: 'day'|'month'|'semimonth', interval: number }
+ */
+function parseRecurringFrequency_(frequency) {
+  const freq = (frequency || 'Monthly').toString().toLowerCase().trim();
+
+  const custom = freq.match(/^every\s+(\d+)\s*(day|week|month|year)s?$/);
+  if (custom) {
+    const n = Math.max(1, parseInt(custom[1], 10));
+    if (custom[2] === 'day') return { unit: 'day', interval: n };
+    if (custom[2] === 'week') return { unit: 'day', interval: n * 7 };
+    if (custom[2] === 'year') return { unit: 'month', interval: n * 12 };
+    return { unit: 'month', interval: n };
+  }
+
+  // Check the compound names before their substrings ("bi-weekly" contains "weekly")
+  if (freq.includes('semi-monthly') || freq.includes('semimonthly') || freq.includes('twice a month')) {
+    return { unit: 'semimonth', interval: 1 };
+  }
+  if (freq.includes('bi-weekly') || freq.includes('biweekly') || freq.includes('fortnight')) {
+    return { unit: 'day', interval: 14 };
+  }
+  if (freq.includes('weekly')) return { unit: 'day', interval: 7 };
+  if (freq.includes('quarterly')) return { unit: 'month', interval: 3 };
+  if (freq.includes('yearly') || freq.includes('annual')) return { unit: 'month', interval: 12 };
+
+  return { unit: 'month', interval: 1 };
+}
+
+/**
+ * Payment date following the given one
+ * Semi-monthly payments fall on the 1st and 15th; month-based ones keep the
+ * start date's day, clamped to the month length (31 -> 30/28).
+ * @param {Date} date - Current payment date
+ * @param {Object} rule - From parseRecurringFrequency_
+ * @param {number} originalDay - Day of month of the start date
+ * @return {Date} Next payment date
+ */
+function nextRecurringPayment_(date, rule, originalDay) {
+  if (rule.unit === 'day') {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + rule.interval);
+  }
+  if (rule.unit === 'semimonth') {
+    return date.getDate() < 15
+      ? new Date(date.getFullYear(), date.getMonth(), 15)
+      : new Date(date.getFullYear(), date.getMonth() + 1, 1);
+  }
+
+  const day = originalDay || date.getDate();
+  const target = new Date(date.getFullYear(), date.getMonth() + rule.interval, 1);
+  const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  target.setDate(Math.min(day, lastDay));
+  return target;
+}
+
+/**
+ * All payment dates between two dates (inclusive)
+ * @param {Date} startDate - Recurring start date
+ * @param {string} frequency - Frequency text
+ * @param {Date} rangeStart - First day to include
+ * @param {Date} rangeEnd - Last day to include
+ * @param {Date} endDate - Optional recurring end date
+ * @return {Array} Payment dates
+ */
+function getRecurringPaymentsBetween_(startDate, frequency, rangeStart, rangeEnd, endDate) {
+  const payments = [];
+  if (!(startDate instanceof Date) || isNaN(startDate.getTime())) return payments;
+
+  const rule = parseRecurringFrequency_(frequency);
+  const originalDay = startDate.getDate();
+  const limit = endDate && endDate < rangeEnd ? endDate : rangeEnd;
+
+  let date = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+  if (rule.unit === 'semimonth' && date.getDate() !== 1 && date.getDate() !== 15) {
+    date = date.getDate() < 15
+      ? new Date(date.getFullYear(), date.getMonth(), 15)
+      : new Date(date.getFullYear(), date.getMonth() + 1, 1);
+  }
+
+  // Safety cap against runaway loops (daily payments for 50 years)
+  for (let i = 0; i < 20000 && date <= limit; i++) {
+    if (date >= rangeStart) payments.push(date);
+    date = nextRecurringPayment_(date, rule, originalDay);
+  }
+  return payments;
+}
+
+/**
+ * Read the Recurring sheet with real dates, for schedule calculations
+ * Rows without an ID, name, amount or valid start date are left out: reminders
+ * and the recurring ledger key their state by the ID (see ensureRecurringIds_).
+ * @return {Array} [{id, rowIndex, name, category, subscription, account, amount,
+ *   frequency, startDate, endDate, notes, source}]
+ */
+function readRecurringSchedule_() {
+  const sheet = getBudgetSheet("Recurring");
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 6) return [];
+
+  return sheet.getRange(`C6:N${lastRow}`).getValues()
+    .map((row, i) => {
+      const startDate = row[1] instanceof Date ? row[1] : new Date(row[1]);
+      const endDate = row[8] ? (row[8] instanceof Date ? row[8] : new Date(row[8])) : null;
+      return {
+        id: (row[0] || '').toString().trim(),
+        rowIndex: i + 6,
+        name: (row[2] || '').toString(),
+        category: (row[3] || '').toString(),
+        subscription: (row[4] || '').toString().toUpperCase() === 'TRUE',
+        account: (row[7] || '').toString(),
+        amount: parseFloat(row[6]),
+        frequency: (row[5] || 'Monthly').toString(),
+        startDate: startDate,
+        endDate: endDate && !isNaN(endDate.getTime()) ? endDate : null,
+        notes: (row[10] || '').toString(),
+        source: (row[11] || '').toString()
+      };
+    })
+    .filter(item => item.id && item.name && !isNaN(item.amount) && item.amount !== 0 &&
+      !isNaN(item.startDate.getTime()));
+}
@@ -0,0 +1,260 @@
+/**
+ * Recurring transactions written to the ledger for Simplify Budget
+ * Without this, recurring items only reach the monthly totals through the
+ * spreadsheet formulas in the Dontedit mirror. With the materializeRecurring
+ * setting on, a daily time-driven trigger writes every occurrence that has come
+ * due as a real row on the Expenses or Income sheet, where its amount can be
+ * changed like any other transaction (a utility bill that varies) without
+ * touching the recurring template.
+ *
+ * Each occurrence gets the ID "<recurring id>@yyyy-MM-dd", so it is written only
+ * once and links back to its recurring item. Income rows also carry the recurring
+ * ID in their Source column (I). The Expenses sheet has no Source column, so the
+ * ID is the link there. Mirror rows produced by the formulas for an occurrence
+ * that has its own row are skipped when reading (isSupersededRecurringRow_).
+ *
+ * Progress is kept as JSON in Dontedit K13:
+ * { since: "2025-06-01", through: { "<recurring id>": "2025-06-15" } }
+ * Nothing before "since" (the day the setting was turned on) is written, and
+ * an occurrence deleted from the ledger is not written again.
+ */
+
+const RECURRING_LEDGER_CELL = "K13";
+const RECURRING_LEDGER_HANDLER = "runRecurringMaterialization";
+const RECURRING_LEDGER_HOUR = 6;
+const RECURRING_OCCURRENCE_SEPARATOR = "@";
+
+/**
+ * Trigger handler for the daily run (installed by scheduleRecurringMaterialization_)
+ * @return {Object} Result of materializeRecurring_
+ */
+function runRecurringMaterialization() {
+  return materializeRecurring_(new Date());
+}
+
+/**
+ * Write the recurring occurrences due up to today that aren't in the ledger yet
+ * @param {Date} now - Current time
+ * @return {Object} Result with expenses and income counts written, and skipped
+ *   occurrences [{id, name, date, reason}]
+ */
+function materializeRecurring_(now) {
+  if (!acquireWriteLock_("materializeRecurring_")) return writeRetryResult_();
+
+  let result;
+  let alertDates = [];
+  try {
+    if (!getMaterializeRecurringSetting_()) {
+      return { success: true, expenses: 0, income: 0, reason: "Recurring transactions are not written to the ledger" };
+    }
+
+    ensureRecurringIds_(getBudgetSheet("Recurring"));
+    const sheet = getBudgetSheet("Dontedit");
+    const state = readRecurringLedgerState_(sheet);
+    const today = formatReminderDate_(now);
+    if (!state.since) state.since = today;
+
+    const categories = getCategoriesWithTimestamp();
+    const categoryNames = new Set();
+    if (categories.success) {
+      categories.categories.forEach(cat => {
+        categoryNames.add(cat.fullName);
+        categoryNames.add(cat.name);
+      });
+    }
+
+    const lastDay = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 23, 59, 59, 999);
+    const expenses = [];
+    const income = [];
+    const skipped = [];
+    const through = {};
+    const incomeThrough = {};
+
+    readRecurringSchedule_().forEach(item => {
+      const written = state.through[item.id] || "";
+      const dates = getRecurringPaymentsBetween_(item.startDate, item.frequency, parseReminderDate_(state.since), lastDay, item.endDate)
+        .filter(date => formatReminderDate_(date) > written);
+      if (written) through[item.id] = written;
+      if (dates.length === 0) return;
+
+      // Recurring income shares the sheet (category contains "income", as in income.js)
+      const isIncome = item.category.toLowerCase().includes("income");
+      if (!isIncome && !categoryNames.has(item.category)) {
+        dates.forEach(date => skipped.push({ id: item.id, name: item.name, date: formatReminderDate_(date), reason: "Category not found: " + item.category }));
+        return;
+      }
+
+      dates.forEach(date => {
+        const id = recurringOccurrenceId_(item.id, date);
+        if (isIncome) {
+          income.push({
+            id: id,
+            date: date,
+            amount: Math.abs(item.amount),
+            name: item.name,
+            account: item.account,
+            source: item.id,
+            notes: item.notes
+          });
+        } else {
+          expenses.push({
+            transactionId: id,
+            date: date,
+            amount: Math.abs(item.amount),
+            category: item.category,
+            name: item.name,
+            label: item.subscription ? "Subscription" : "Fixed Payment",
+            notes: item.notes,
+            account: item.account
+          });
+        }
+      });
+      (isIncome ? incomeThrough : through)[item.id] = formatReminderDate_(dates[dates.length - 1]);
+    });
+
+    // Items removed from the Recurring sheet drop out of the state
+    state.through = through;
+
+    // Progress for the expenses is kept before the income is saved, so a failed
+    // income save doesn't write them again over edits on the next run
+    if (expenses.length > 0) {
+      const saved = saveBatchExpenses(expenses);
+      if (!saved.success) return saved;
+      alertDates = expenses.map(e => e.date);
+      writeRecurringLedgerState_(sheet, state);
+    }
+    if (income.length > 0) {
+      const saved = saveBatchIncome(income);
+      if (!saved.success) return saved;
+    }
+
+    Object.assign(state.through, incomeThrough);
+    writeRecurringLedgerState_(sheet, state);
+
+    if (skipped.length > 0) {
+      Logger.log(`materializeRecurring_: skipped ${skipped.length} occurrences: ` + JSON.stringify(skipped));
+    }
+    result = { success: true, expenses: expenses.length, income: income.length, skipped: skipped };
+  } catch (error) {
+    Logger.log("Error in materializeRecurring_: " + error.toString());
+    return { success: false, error: error.toString() };
+  } finally {
+    releaseWriteLock_();
+  }
+
+  // Budget thresholds are checked once the lock is released (see checkCategoryAlerts_)
+  if (alertDates.length > 0) checkCategoryAlerts_(alertDates);
+  return result;
+}
+
+/**
+ * Install the daily trigger that writes recurring occurrences, or remove it
+ * Turning the setting on starts from today; turning it off forgets the progress,
+ * so turning it on again later doesn't fill in the months in between.
+ * Like the alert digest, the trigger belongs to the user who saved the setting.
+ * @param {boolean} enabled - materializeRecurring setting
+ */
+function scheduleRecurringMaterialization_(enabled) {
+  deleteProjectTriggers_(RECURRING_LEDGER_HANDLER);
+
+  const sheet = getBudgetSheet("Dontedit");
+  if (enabled) {
+    ScriptApp.newTrigger(RECURRING_LEDGER_HANDLER).timeBased().everyDays(1).atHour(RECURRING_LEDGER_HOUR).create();
+    const state = readRecurringLedgerState_(sheet);
+    if (!state.since) writeRecurringLedgerState_(sheet, { since: formatReminderDate_(new Date()), through: {} });
+  } else {
+    sheet.getRange(RECURRING_LEDGER_CELL).clearContent();
+  }
+
+  Logger.log(`Recurring transactions ${enabled ? "are" : "are not"} written to the ledger`);
+}
+
+/**
+ * ID of the ledger row for one occurrence of a recurring item
+ * @param {string} recurringId - Recurring item ID
+ * @param {Date} date - Occurrence date
+ * @return {string} "<recurringId>@yyyy-MM-dd"
+ */
+function recurringOccurrenceId_(recurringId, date) {
+  return `${recurringId}${RECURRING_OCCURRENCE_SEPARATOR}${formatReminderDate_(date)}`;
+}
+
+/**
+ * Recurring item ID of an occurrence row, or "" for other transactions
+ * @param {string} transactionId - Transaction ID
+ * @return {string} Recurring item ID
+ */
+function getRecurringOccurrenceParentId_(transactionId) {
+  const id = (transactionId || "").toString();
+  const index = id.lastIndexOf(RECURRING_OCCURRENCE_SEPARATOR);
+  if (index <= 0) return "";
+  return /^\d{4}-\d{2}-\d{2}$/.test(id.slice(index + 1)) ? id.slice(0, index) : "";
+}
+
+/**
+ * Collect the occurrence IDs found among transaction IDs, for isSupersededRecurringRow_
+ * @param {Array} ids - Transaction IDs, e.g. column GB of the Dontedit mirror
+ * @return {Set} Occurrence IDs
+ */
+function collectRecurringOccurrenceIds_(ids) {
+  const occurrences = new Set();
+  ids.forEach(id => {
+    if (getRecurringOccurrenceParentId_(id)) occurrences.add(id.toString());
+  });
+  return occurrences;
+}
+
+/**
+ * Whether a mirror row is a formula copy of a recurring occurrence that has its own ledger row
+ * @param {string} transactionId - ID of the mirror row
+ * @param {Date} date - Date of the mirror row
+ * @param {Set} occurrences - From collectRecurringOccurrenceIds_
+ * @return {boolean} True when the row should be left out
+ */
+function isSupersededRecurringRow_(transactionId, date, occurrences) {
+  if (occurrences.size === 0 || !transactionId) return false;
+  return occurrences.has(recurringOccurrenceId_(transactionId, date));
+}
+
+/**
+ * Read the materializeRecurring setting
+ * @return {boolean} Whether occurrences are written to the ledger
+ */
+function getMaterializeRecurringSetting_() {
+  const result = getUserSettings();
+  return !!(result.success && result.settings && result.settings.materializeRecurring);
+}
+
+/**
+ * Read the progress from Dontedit K13
+ * @param {Sheet} sheet - Dontedit sheet
+ * @return {Object} { since, through }
+ */
+function readRecurringLedgerState_(sheet) {
+  const raw = sheet.getRange(RECURRING_LEDGER_CELL).getValue();
+  if (!raw) return { since: "", through: {} };
+
+  try {
+    const parsed = JSON.parse(raw.toString());
+    return {
+      since: parsed && typeof parsed.since === "string" ? parsed.since : "",
+      through: parsed && typeof parsed.through === "object" && parsed.through ? parsed.through : {}
+    };
+  } catch (e) {
+    Logger.log("Invalid JSON in recurring ledger cell " + RECURRING_LEDGER_CELL + ": " + e.toString());
+    return { since: "", through: {} };
+  }
+}
+
+/**
+ * Write the progress to Dontedit K13
+ * @param {Sheet} sheet - Dontedit sheet
+ * @param {Object} state - { since, through }
+ */
+function writeRecurringLedgerState_(sheet, state) {
+  sheet.getRange(RECURRING_LEDGER_CELL).setValue(JSON.stringify({
+    since: state.since,
+    through: state.through,
+    version: 1
+  }));
+}
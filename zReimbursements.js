@@ -0,0 +1,246 @@
+/**
+ * Reimbursable expenses for Simplify Budget
+ * Work trips and shared purchases are paid from our own accounts and paid back
+ * later. An expense is marked reimbursable with who owes it and how much, and
+ * linked to the income transaction the money came back as once it lands.
+ * Stored as JSON in Dontedit K15:
+ * {
+ *   items: [{ expenseId: "tx-1719999999999", owedBy: "Acme Corp", amount: 120.5,
+ *             incomeId: "" (not paid back yet) or "INC-1720000000000", markedAt: "2025-07-01" }],
+ *   version: 1,
+ *   revision: 3
+ * }
+ *
+ * One income transaction can pay back several expenses (one transfer for a whole
+ * trip). An item whose linked income was deleted is outstanding again.
+ */
+
+const REIMBURSEMENTS_CELL = "K15";
+const REIMBURSEMENT_OWED_BY_MAX_LENGTH = 80;
+
+/**
+ * Reimbursable expenses with their expense and income details
+ * @return {Object} Result with items [{expenseId, owedBy, amount, incomeId, markedAt,
+ *   status: "outstanding" | "reimbursed" | "missing" (expense deleted),
+ *   expense: {date, name, amount, category} or null, income: {date, name, amount} or null}],
+ *   outstanding (total still owed), byPerson [{owedBy, amount, count}] and revision
+ */
+function getReimbursements() {
+  try {
+    const stored = getReimbursementsFromDontedit_();
+
+    const expensesById = {};
+    const incomeById = {};
+    if (stored.length > 0) {
+      const expenseData = getExpenseData(null, null);
+      if (!expenseData.success) return expenseData;
+      expenseData.expenses.forEach(expense => { expensesById[expense.transactionId] = expense; });
+    }
+    if (stored.some(item => item.incomeId)) {
+      const incomeData = getIncomeData();
+      if (!incomeData.success) return incomeData;
+      incomeData.income.forEach(item => { incomeById[item.id] = item; });
+    }
+
+    let outstanding = 0;
+    const byPerson = {};
+    const items = stored.map(item => {
+      const expense = expensesById[item.expenseId] || null;
+      const income = item.incomeId ? incomeById[item.incomeId] || null : null;
+      const status = !expense ? "missing" : income ? "reimbursed" : "outstanding";
+
+      if (status === "outstanding") {
+        outstanding += item.amount;
+        const key = item.owedBy.toLowerCase();
+        if (!byPerson[key]) byPerson[key] = { owedBy: item.owedBy, amount: 0, count: 0 };
+        byPerson[key].amount += item.amount;
+        byPerson[key].count++;
+      }
+
+      return {
+        expenseId: item.expenseId,
+        owedBy: item.owedBy,
+        amount: item.amount,
+        incomeId: item.incomeId || "",
+        markedAt: item.markedAt || "",
+        status: status,
+        expense: expense ? { date: expense.date, name: expense.name, amount: expense.amount, category: expense.category } : null,
+        income: income ? { date: income.date, name: income.name, amount: income.amount } : null
+      };
+    });
+
+    return {
+      success: true,
+      items: items,
+      outstanding: Math.round(outstanding * 100) / 100,
+      byPerson: Object.keys(byPerson)
+        .map(key => Object.assign(byPerson[key], { amount: Math.round(byPerson[key].amount * 100) / 100 }))
+        .sort((a, b) => b.amount - a.amount),
+      revision: getDatasetRevision_("reimbursements")
+    };
+  } catch (error) {
+    Logger.log("Error in getReimbursements: " + error.toString());
+    return { success: false, error: error.toString() };
+  }
+}
+
+/**
+ * Mark an expense reimbursable, or update who owes it, the amount or the linked income
+ * @param {Object} item - {expenseId, owedBy, amount (defaults to the expense amount),
+ *   incomeId ("" while not paid back)}
+ * @param {number} expectedRevision - Revision the client last read (see zLock.js)
+ * @return {Object} Result with the saved item and the new revision
+ */
+function saveReimbursement(item, expectedRevision) {
+  if (!acquireWriteLock_("saveReimbursement")) return writeRetryResult_();
+
+  try {
+    const sheet = getBudgetSheet("Dontedit");
+    const expenseId = ((item && item.expenseId) || "").toString().trim();
+    const owedBy = ((item && item.owedBy) || "").toString().trim().replace(/\s+/g, " ")
+      .slice(0, REIMBURSEMENT_OWED_BY_MAX_LENGTH);
+    const incomeId = ((item && item.incomeId) || "").toString().trim();
+
+    if (!expenseId) return { success: false, error: "Expense ID is required" };
+    if (!owedBy) return { success: false, error: "Who owes this is required" };
+
+    const expenseAmount = findTransactionAmountById_("Expenses", expenseId);
+    if (expenseAmount === null) return { success: false, error: "Expense not found: " + expenseId };
+
+    const amount = item.amount === undefined || item.amount === null || item.amount === ""
+      ? expenseAmount : Math.round(parseFloat(item.amount) * 100) / 100;
+    if (isNaN(amount) || amount <= 0 || amount > expenseAmount) {
+      return { success: false, error: "Amount must be more than 0 and at most the expense amount" };
+    }
+    if (incomeId && findTransactionAmountById_("Income", incomeId) === null) {
+      return { success: false, error: "Income not found: " + incomeId };
+    }
+
+    const check = checkDatasetRevision_(sheet, "reimbursements", expectedRevision);
+    if (check.conflict) return check.conflict;
+
+    const previous = getReimbursementsFromDontedit_();
+    const existing = previous.find(entry => entry.expenseId === expenseId);
+    const saved = {
+      expenseId: expenseId,
+      owedBy: owedBy,
+      amount: amount,
+      incomeId: incomeId,
+      markedAt: existing && existing.markedAt ? existing.markedAt : formatReminderDate_(new Date())
+    };
+    const items = existing
+      ? previous.map(entry => entry.expenseId === expenseId ? saved : entry)
+      : previous.concat([saved]);
+
+    writeReimbursements_(sheet, "saveReimbursement", previous, items, check.revision);
+
+    return {
+      success: true,
+      item: saved,
+      revision: check.revision
+    };
+  } catch (error) {
+    Logger.log("Error in saveReimbursement: " + error.toString());
+    return { success: false, error: error.toString() };
+  } finally {
+    releaseWriteLock_();
+  }
+}
+
+/**
+ * Stop tracking an expense as reimbursable (the expense itself is left alone)
+ * @param {string} expenseId - Expense transaction ID
+ * @param {number} expectedRevision - Revision the client last read (see zLock.js)
+ * @return {Object} Result with the new revision
+ */
+function removeReimbursement(expenseId, expectedRevision) {
+  if (!acquireWriteLock_("removeReimbursement")) return writeRetryResult_();
+
+  try {
+    const sheet = getBudgetSheet("Dontedit");
+    const id = (expenseId || "").toString().trim();
+
+    const check = checkDatasetRevision_(sheet, "reimbursements", expectedRevision);
+    if (check.conflict) return check.conflict;
+
+    const previous = getReimbursementsFromDontedit_();
+    const items = previous.filter(entry => entry.expenseId !== id);
+    if (items.length === previous.length) {
+      return { success: false, error: "Expense is not marked reimbursable: " + id };
+    }
+
+    writeReimbursements_(sheet, "removeReimbursement", previous, items, check.revision);
+
+    return {
+      success: true,
+      revision: check.revision
+    };
+  } catch (error) {
+    Logger.log("Error in removeReimbursement: " + error.toString());
+    return { success: false, error: error.toString() };
+  } finally {
+    releaseWriteLock_();
+  }
+}
+
+/**
+ * Read the reimbursement items from Dontedit K15 (empty array when unset or invalid)
+ * @return {Array} Items
+ */
+function getReimbursementsFromDontedit_() {
+  const raw = getBudgetSheet("Dontedit").getRange(REIMBURSEMENTS_CELL).getValue();
+  if (!raw) return [];
+
+  try {
+    const parsed = JSON.parse(raw.toString());
+    return parsed && Array.isArray(parsed.items) ? parsed.items : [];
+  } catch (e) {
+    Logger.log("Invalid JSON in reimbursements cell " + REIMBURSEMENTS_CELL + ": " + e.toString());
+    return [];
+  }
+}
+
+/**
+ * Write the items to Dontedit K15 and log the changed ones
+ * @param {Sheet} sheet - Dontedit sheet
+ * @param {string} operation - Calling function, for the audit log
+ * @param {Array} previous - Items before the change
+ * @param {Array} items - Items to store
+ * @param {number} revision - New revision from checkDatasetRevision_
+ */
+function writeReimbursements_(sheet, operation, previous, items, revision) {
+  sheet.getRange(REIMBURSEMENTS_CELL).setValue(JSON.stringify({ items: items, version: 1, revision: revision }));
+
+  const byExpense = list => {
+    const map = {};
+    list.forEach(entry => { map[entry.expenseId] = entry; });
+    return map;
+  };
+  const changes = diffAuditObjects_(byExpense(previous), byExpense(items));
+  if (changes) {
+    const ids = Object.keys(Object.assign({}, changes.before, changes.after));
+    logAudit_(operation, "reimbursements", ids, changes.before, changes.after);
+  }
+}
+
+/**
+ * Amount of a transaction on the Expenses or Income sheet
+ * Both sheets keep the transaction ID in column D and the amount in F from row 5.
+ * @param {string} sheetName - "Expenses" or "Income"
+ * @param {string} transactionId - Transaction ID
+ * @return {number|null} Amount, or null when no row has the ID
+ */
+function findTransactionAmountById_(sheetName, transactionId) {
+  const sheet = getBudgetSheet(sheetName);
+  const startRow = 5;
+  const lastRow = sheet.getLastRow();
+  if (lastRow < startRow) return null;
+
+  const rows = sheet.getRange(startRow, 4, lastRow - startRow + 1, 3).getValues();
+  for (let i = 0; i < rows.length; i++) {
+    if (rows[i][0] && rows[i][0].toString() === transactionId) {
+      return parseFloat(rows[i][2]) || 0;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,216 @@
+/**
+ * Bill reminders for Simplify Budget
+ * Due dates come from the Recurring sheet (start date, frequency, end date),
+ * using the schedule helpers in zRecurring.js.
+ *
+ * The billReminderDays setting (Dontedit K8) is how many days ahead to remind,
+ * 0 for off. A daily time-driven trigger emails every payment due within that
+ * window that hasn't been reminded yet. Sent reminders are kept as JSON in
+ * Dontedit K12, so a missed run or a changed setting never repeats one:
+ * { reminded: { "<recurring id>|2025-06-15": "2025-06-12T07:00:00.000Z" } }
+ */
+
+const REMINDERS_CELL = "K12";
+const REMINDER_HANDLER = "runBillReminders";
+const REMINDER_HOUR = 7;
+const REMINDER_MAX_DAYS = 30;
+
+/**
+ * Recurring payments due in the next few days, computed from the Recurring sheet
+ * @param {number} days - Days ahead to include, today counted (default 7, max 60)
+ * @return {Object} Result with items [{id, name, category, account, amount,
+ *   frequency, dueDate: "yyyy-MM-dd", daysUntil}], soonest first
+ */
+function getUpcomingPayments(days) {
+  try {
+    days = Math.min(Math.max(parseInt(days, 10) || 7, 1), 60);
+    return {
+      success: true,
+      days: days,
+      items: getUpcomingPayments_(new Date(), days)
+    };
+  } catch (error) {
+    Logger.log("Error in getUpcomingPayments: " + error.toString());
+    return { success: false, error: error.toString() };
+  }
+}
+
+/**
+ * Trigger handler for the daily bill reminder email (installed by scheduleBillReminders_)
+ * @return {Object} Result of sendBillReminders_
+ */
+function runBillReminders() {
+  return sendBillReminders_(MailApp);
+}
+
+/**
+ * Email the payments due within the reminder window that weren't reminded yet
+ * @param {Object} mailer - MailApp, or any object with sendEmail({to, subject, body})
+ *   so reminders can run without sending mail
+ * @param {Date} now - Optional current time
+ * @return {Object} Result with sent flag, recipient and the reminded payments
+ */
+function sendBillReminders_(mailer, now) {
+  if (!acquireWriteLock_("sendBillReminders_")) return writeRetryResult_();
+
+  try {
+    now = now || new Date();
+    const days = getBillReminderDays_();
+    if (days === 0) {
+      return { success: true, sent: false, reason: "Bill reminders are turned off" };
+    }
+
+    ensureRecurringIds_(getBudgetSheet("Recurring"));
+    const sheet = getBudgetSheet("Dontedit");
+    const state = readReminderState_(sheet);
+    const due = getUpcomingPayments_(now, days + 1)
+      .filter(item => !state.reminded[`${item.id}|${item.dueDate}`]);
+
+    if (due.length === 0) {
+      return { success: true, sent: false, reason: "Nothing due" };
+    }
+
+    const recipient = Session.getEffectiveUser().getEmail();
+    if (!recipient) {
+      return { success: false, error: "No email address to send reminders to" };
+    }
+
+    const timeZone = Session.getScriptTimeZone();
+    const lines = due.map(item => {
+      const when = item.daysUntil === 0 ? "today" : item.daysUntil === 1 ? "tomorrow" : `in ${item.daysUntil} days`;
+      const date = Utilities.formatDate(parseReminderDate_(item.dueDate), timeZone, "EEE d MMM");
+      return `- ${item.name}: ${(Math.round(item.amount * 100) / 100).toFixed(2)} due ${when} (${date})` +
+        (item.account ? `, from ${item.account}` : "");
+    });
+
+    mailer.sendEmail({
+      to: recipient,
+      subject: due.length === 1 ? `Reminder: ${due[0].name} is due soon` : `Reminder: ${due.length} bills are due soon`,
+      body: ["Coming up:"].concat(lines, [
+        "",
+        "You get this email because bill reminders are on in Simplify Budget settings."
+      ]).join("\n")
+    });
+
+    const sentAt = now.toISOString();
+    due.forEach(item => state.reminded[`${item.id}|${item.dueDate}`] = sentAt);
+    writeReminderState_(sheet, state, now);
+
+    return { success: true, sent: true, recipient: recipient, reminded: due };
+  } catch (error) {
+    Logger.log("Error in sendBillReminders_: " + error.toString());
+    return { success: false, error: error.toString() };
+  } finally {
+    releaseWriteLock_();
+  }
+}
+
+/**
+ * Install the daily trigger for bill reminders, or remove it when they're off
+ * Like the alert digest, the trigger belongs to the user who saved the setting.
+ * @param {number} days - billReminderDays setting
+ */
+function scheduleBillReminders_(days) {
+  deleteProjectTriggers_(REMINDER_HANDLER);
+
+  if (parseInt(days, 10) > 0) {
+    ScriptApp.newTrigger(REMINDER_HANDLER).timeBased().everyDays(1).atHour(REMINDER_HOUR).create();
+  }
+
+  Logger.log(`Bill reminders set to ${parseInt(days, 10) || 0} days ahead`);
+}
+
+/**
+ * Payments due from today for the given number of days
+ * @param {Date} now - Current time
+ * @param {number} days - Days to include, today counted
+ * @return {Array} Upcoming payments, soonest first
+ */
+function getUpcomingPayments_(now, days) {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const lastDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() + days - 1, 23, 59, 59, 999);
+
+  const items = [];
+  readRecurringSchedule_().forEach(item => {
+    // Recurring income shares the sheet (category contains "income", as in income.js)
+    if (item.category.toLowerCase().includes("income")) return;
+
+    getRecurringPaymentsBetween_(item.startDate, item.frequency, today, lastDay, item.endDate).forEach(date => {
+      items.push({
+        id: item.id,
+        name: item.name,
+        category: item.category,
+        account: item.account,
+        amount: item.amount,
+        frequency: item.frequency,
+        dueDate: formatReminderDate_(date),
+        daysUntil: Math.round((date - today) / 86400000)
+      });
+    });
+  });
+
+  return items.sort((a, b) => a.daysUntil - b.daysUntil || a.name.localeCompare(b.name));
+}
+
+/**
+ * Read the billReminderDays setting
+ * @return {number} Days ahead, 0 when reminders are off
+ */
+function getBillReminderDays_() {
+  const result = getUserSettings();
+  const days = result.success && result.settings ? parseInt(result.settings.billReminderDays, 10) : 0;
+  return isNaN(days) ? 0 : Math.min(Math.max(days, 0), REMINDER_MAX_DAYS);
+}
+
+/**
+ * Read the reminder state from Dontedit K12
+ * @param {Sheet} sheet - Dontedit sheet
+ * @return {Object} { reminded }
+ */
+function readReminderState_(sheet) {
+  const raw = sheet.getRange(REMINDERS_CELL).getValue();
+  if (!raw) return { reminded: {} };
+
+  try {
+    const parsed = JSON.parse(raw.toString());
+    return { reminded: parsed && typeof parsed.reminded === "object" ? parsed.reminded : {} };
+  } catch (e) {
+    Logger.log("Invalid JSON in reminders cell " + REMINDERS_CELL + ": " + e.toString());
+    return { reminded: {} };
+  }
+}
+
+/**
+ * Write the reminder state to Dontedit K12, dropping due dates already past
+ * @param {Sheet} sheet - Dontedit sheet
+ * @param {Object} state - From readReminderState_
+ * @param {Date} now - Current time
+ */
+function writeReminderState_(sheet, state, now) {
+  const today = formatReminderDate_(now);
+  const reminded = {};
+  Object.keys(state.reminded).forEach(key => {
+    if (key.slice(key.lastIndexOf("|") + 1) >= today) reminded[key] = state.reminded[key];
+  });
+
+  sheet.getRange(REMINDERS_CELL).setValue(JSON.stringify({ reminded: reminded, version: 1 }));
+}
+
+/**
+ * Format a date as "yyyy-MM-dd"
+ * @param {Date} date - Date
+ * @return {string} Date text
+ */
+function formatReminderDate_(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+/**
+ * Parse a "yyyy-MM-dd" date
+ * @param {string} text - Date text
+ * @return {Date} Date at midnight
+ */
+function parseReminderDate_(text) {
+  const parts = text.split("-").map(part => parseInt(part, 10));
+  return new Date(parts[0], parts[1] - 1, parts[2]);
+}
@@ -0,0 +1,224 @@
+/**
+ * Categorization rules for Simplify Budget
+ * Rules are stored as JSON in Dontedit K9, next to the settings JSON in K8.
+ * Each rule points at a category ID (column D of the Categories sheet) rather
+ * than a name, so renaming a category through updateCategoryName keeps the rule
+ * working. Merging a category (mergeCategory) moves its rules to the target.
+ *
+ * Rule shape:
+ * {
+ *   id: "rule-1719999999999",
+ *   field: "name" | "label" | "notes" | "account",
+ *   operator: "contains" | "equals" | "startsWith" | "regex",
+ *   value: "Tesco",
+ *   categoryId: 3,          // Categories column D
+ *   account: "Visa",        // optional, applied when the expense has no account
+ *   active: true
+ * }
+ */
+
+const RULES_CELL = "K9";
+
+const RULE_FIELDS = ['name', 'label', 'notes', 'account'];
+const RULE_OPERATORS = ['contains', 'equals', 'startsWith', 'regex'];
+
+/**
+ * Read categorization rules from Dontedit K9
+ * @return {Object} Result with rules array
+ */
+function getCategorizationRules() {
+  try {
+    return {
+      success: true,
+      rules: getCategorizationRulesFromDontedit_(),
+      revision: getDatasetRevision_("rules")
+    };
+  } catch (error) {
+    Logger.log("Error in getCategorizationRules: " + error.toString());
+    return { success: false, error: error.toString() };
+  }
+}
+
+/**
+ * Save categorization rules to Dontedit K9
+ * Rules are kept in the given order - the first matching rule wins.
+ * @param {Array} rules - Array of rule objects
+ * @param {number} expectedRevision - Revision the client last read (see zLock.js)
+ * @return {Object} Result with the cleaned rules and the new revision
+ */
+function saveCategorizationRules(rules, expectedRevision) {
+  if (!acquireWriteLock_("saveCategorizationRules")) return writeRetryResult_();
+
+  try {
+    const sheet = getBudgetSheet("Dontedit");
+    if (!sheet) {
+      return { success: false, error: "Dontedit sheet not found" };
+    }
+
+    if (!Array.isArray(rules)) {
+      return { success: false, error: "Rules must be an array" };
+    }
+
+    const categories = getCategoriesWithTimestamp();
+    if (!categories.success) {
+      return { success: false, error: categories.error };
+    }
+    const knownIds = categories.categories.map(cat => String(cat.id));
+
+    const cleanRules = [];
+    for (let i = 0; i < rules.length; i++) {
+      const rule = rules[i] || {};
+      const value = (rule.value || "").toString().trim();
+
+      if (!value) {
+        return { success: false, error: `Rule ${i + 1}: match text is required` };
+      }
+      if (RULE_FIELDS.indexOf(rule.field) === -1) {
+        return { success: false, error: `Rule ${i + 1}: unknown field "${rule.field}"` };
+      }
+      if (RULE_OPERATORS.indexOf(rule.operator) === -1) {
+        return { success: false, error: `Rule ${i + 1}: unknown operator "${rule.operator}"` };
+      }
+      if (rule.operator === 'regex') {
+        try {
+          new RegExp(value, 'i');
+        } catch (e) {
+          return { success: false, error: `Rule ${i + 1}: invalid pattern "${value}"` };
+        }
+      }
+      if (knownIds.indexOf(String(rule.categoryId)) === -1) {
+        return { success: false, error: `Rule ${i + 1}: category ${rule.categoryId} does not exist` };
+      }
+
+      cleanRules.push({
+        id: rule.id || `rule-${Date.now()}-${i}`,
+        field: rule.field,
+        operator: rule.operator,
+        value: value,
+        categoryId: rule.categoryId,
+        account: (rule.account || "").toString().trim(),
+        active: rule.active !== false
+      });
+    }
+
+    const check = checkDatasetRevision_(sheet, "rules", expectedRevision);
+    if (check.conflict) return check.conflict;
+
+    const previous = getCategorizationRulesFromDontedit_();
+    sheet.getRange(RULES_CELL).setValue(JSON.stringify({ rules: cleanRules, version: 1, revision: check.revision }));
+
+    const changes = diffAuditObjects_(auditById_(previous), auditById_(cleanRules));
+    if (changes) {
+      const ids = Object.keys(Object.assign({}, changes.before, changes.after));
+      logAudit_("saveCategorizationRules", "rules", ids, changes.before, changes.after);
+    }
+
+    return {
+      success: true,
+      rules: cleanRules,
+      revision: check.revision
+    };
+  } catch (error) {
+    Logger.log("Error in saveCategorizationRules: " + error.toString());
+    return { success: false, error: error.toString() };
+  } finally {
+    releaseWriteLock_();
+  }
+}
+
+/**
+ * Read rules array from Dontedit K9 (empty array when unset or invalid)
+ * @return {Array} Rules
+ */
+function getCategorizationRulesFromDontedit_() {
+  const sheet = getBudgetSheet("Dontedit");
+  if (!sheet) return [];
+
+  const raw = sheet.getRange(RULES_CELL).getValue();
+  if (!raw) return [];
+
+  try {
+    const parsed = JSON.parse(raw.toString());
+    if (Array.isArray(parsed)) return parsed;
+    if (parsed && Array.isArray(parsed.rules)) return parsed.rules;
+  } catch (e) {
+    Logger.log("Invalid JSON in rules cell " + RULES_CELL + ": " + e.toString());
+  }
+  return [];
+}
+
+/**
+ * Find the first active rule matching an expense
+ * @param {Object} expense - Expense with name/label/notes/account
+ * @param {Array} rules - Rules in priority order
+ * @return {Object|null} Matching rule
+ */
+function findMatchingRule_(expense, rules) {
+  for (const rule of rules) {
+    if (!rule || rule.active === false) continue;
+
+    const fieldValue = (rule.field === 'name'
+      ? (expense.name || expense.description || "")
+      : (expense[rule.field] || "")).toString().toLowerCase();
+    const needle = (rule.value || "").toString().toLowerCase();
+    if (!fieldValue || !needle) continue;
+
+    let matches = false;
+    switch (rule.operator) {
+      case 'equals':
+        matches = fieldValue.trim() === needle;
+        break;
+      case 'startsWith':
+        matches = fieldValue.trim().indexOf(needle) === 0;
+        break;
+      case 'regex':
+        try {
+          matches = new RegExp(rule.value, 'i').test(fieldValue);
+        } catch (e) {
+          matches = false;
+        }
+        break;
+      default:
+        matches = fieldValue.indexOf(needle) !== -1;
+    }
+
+    if (matches) return rule;
+  }
+  return null;
+}
+
+/**
+ * Fill in category and account from rules for expenses that have none.
+ * Categories the user picked are never overwritten.
+ * @param {Array} expenses - Expenses about to be saved
+ * @return {Array} The same expenses, with rule results applied
+ */
+function applyCategorizationRules_(expenses) {
+  const needsRules = expenses.some(e => !e.category ||
+    !e.account || e.account.toString().trim() === '' || e.account === 'Other');
+  if (!needsRules) return expenses;
+
+  const rules = getCategorizationRulesFromDontedit_();
+  if (!rules.length) return expenses;
+
+  const categories = getCategoriesWithTimestamp();
+  if (!categories.success) return expenses;
+
+  expenses.forEach(expense => {
+    const rule = findMatchingRule_(expense, rules);
+    if (!rule) return;
+
+    if (!expense.category) {
+      const category = categories.categories.find(cat => String(cat.id) === String(rule.categoryId));
+      if (category) {
+        expense.category = category.fullName;
+      }
+    }
+
+    if (rule.account && (!expense.account || expense.account.toString().trim() === '' || expense.account === 'Other')) {
+      expense.account = rule.account;
+    }
+  });
+
+  return expenses;
+}
@@ -0,0 +1,177 @@
+/**
+ * Global search across expenses, income and recurring items
+ * Matches names, labels, notes, accounts and categories as text, and amounts
+ * when the search looks like a number ("45" finds 45.00 and 45.90, "45.9" finds 45.90).
+ */
+
+const SEARCH_DEFAULT_LIMIT = 25;
+
+/**
+ * Search expenses, income and recurring items
+ * @param {string} text - Search text
+ * @param {Object} options - Optional {limit} per group (default 25, max 100)
+ * @return {Object} Result with expenses, income and recurring arrays (newest first)
+ *   and the number of matches in each group before the limit
+ */
+function searchTransactions(text, options) {
+  try {
+    const matcher = createSearchMatcher_(text);
+    if (!matcher) {
+      return { success: false, error: "Enter at least 2 characters to search" };
+    }
+
+    options = options || {};
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || SEARCH_DEFAULT_LIMIT, 1), 100);
+
+    const expenses = searchExpenses_(matcher);
+    const income = searchIncome_(matcher);
+    const recurring = searchRecurring_(matcher);
+
+    const newestFirst = (a, b) => b.time - a.time;
+    expenses.sort(newestFirst);
+    income.sort(newestFirst);
+
+    return {
+      success: true,
+      query: text.toString().trim(),
+      expenses: expenses.slice(0, limit),
+      income: income.slice(0, limit),
+      recurring: recurring.slice(0, limit),
+      counts: {
+        expenses: expenses.length,
+        income: income.length,
+        recurring: recurring.length
+      }
+    };
+  } catch (error) {
+    Logger.log("Error in searchTransactions: " + error.toString());
+    return { success: false, error: error.toString() };
+  }
+}
+
+/**
+ * Build a matcher for the search text
+ * @param {string} text - Search text
+ * @return {Function|null} (textFields, amount) => boolean, or null if the text is too short
+ */
+function createSearchMatcher_(text) {
+  const query = (text || "").toString().trim().toLowerCase();
+  if (query.length < 2) return null;
+
+  // A number, optionally after a currency symbol ("$45", "12,50")
+  const numeric = query.replace(/^[^\w\s]+\s*/, "").replace(",", ".");
+  const isAmount = /^\d+(\.\d{1,2})?$/.test(numeric);
+  const decimals = numeric.indexOf(".") === -1 ? 0 : numeric.split(".")[1].length;
+  const target = isAmount ? parseFloat(numeric) : null;
+
+  return function(textFields, amount) {
+    if (textFields.join(" ").toLowerCase().indexOf(query) !== -1) return true;
+    if (!isAmount || isNaN(amount)) return false;
+
+    // Compare at the precision that was typed
+    const factor = Math.pow(10, decimals);
+    return Math.floor(Math.abs(amount) * factor + 1e-6) === Math.round(Math.abs(target) * factor);
+  };
+}
+
+/**
+ * Expenses from the Dontedit mirror (FV:GC, including notes)
+ */
+function searchExpenses_(matches) {
+  const donteditSheet = getBudgetSheet("Dontedit");
+  const startRow = 5;
+  const lastRow = donteditSheet.getLastRow();
+  if (lastRow < startRow) return [];
+
+  const range = donteditSheet.getRange(`FV${startRow}:GC${lastRow}`);
+  const data = range.getValues();
+  const displayData = range.getDisplayValues();
+
+  // Recurring occurrences with their own ledger row (see zRecurringLedger.js)
+  const occurrences = collectRecurringOccurrenceIds_(data.map(row => row[6]));
+
+  const results = [];
+  for (let i = 0; i < data.length; i++) {
+    const row = data[i];
+    const amount = parseFloat(row[4]);
+    if (!row[1] || !row[2] || isNaN(amount) || amount <= 0) continue;
+
+    const date = row[1] instanceof Date ? row[1] : new Date(row[1]);
+    if (isNaN(date.getTime())) continue;
+    if (isSupersededRecurringRow_(row[6], date, occurrences)) continue;
+
+    const expense = {
+      transactionId: (row[6] || "").toString(),
+      date: displayData[i][1].toString(),
+      month: date.getMonth(),
+      year: date.getFullYear(),
+      time: date.getTime(),
+      account: (row[0] || "").toString(),
+      category: row[2].toString(),
+      name: (row[3] || "").toString(),
+      amount: amount,
+      label: (row[5] || "").toString(),
+      notes: (row[7] || "").toString()
+    };
+
+    if (matches([expense.name, expense.label, expense.notes, expense.account, expense.category], amount)) {
+      results.push(expense);
+    }
+  }
+  return results;
+}
+
+/**
+ * Income entries (getIncomeData), dated from the sheet's date column
+ */
+function searchIncome_(matches) {
+  const result = getIncomeData();
+  if (!result.success) throw new Error(result.error);
+  if (result.income.length === 0) return [];
+
+  const incomeSheet = getBudgetSheet("Income");
+  const firstRow = 5;
+  const dates = incomeSheet.getRange(firstRow, 5, incomeSheet.getLastRow() - firstRow + 1, 1).getValues();
+
+  return result.income
+    .filter(item => matches([item.name, item.source, item.notes, item.account], item.amount))
+    .map(item => {
+      const value = dates[item.rowIndex - firstRow] ? dates[item.rowIndex - firstRow][0] : null;
+      const date = value instanceof Date ? value : new Date(value);
+      const valid = value && !isNaN(date.getTime());
+      return {
+        id: item.id,
+        date: item.date,
+        month: valid ? date.getMonth() : null,
+        year: valid ? date.getFullYear() : null,
+        time: valid ? date.getTime() : 0,
+        name: item.name,
+        amount: item.amount,
+        account: item.account,
+        source: item.source,
+        notes: item.notes
+      };
+    });
+}
+
+/**
+ * Recurring items (getRecurringData), in sheet order
+ */
+function searchRecurring_(matches) {
+  const result = getRecurringData();
+  if (!result.success) throw new Error(result.error);
+
+  return result.recurring
+    .filter(item => matches([item.name, item.category, item.type, item.account, item.notes, item.source], item.amount))
+    .map(item => ({
+      id: item.id,
+      name: item.name,
+      amount: item.amount,
+      frequency: item.frequency,
+      category: item.category,
+      account: item.account,
+      startDate: item.startDate,
+      endDate: item.endDate,
+      isIncome: item.category.toLowerCase().indexOf("income") !== -1
+    }));
+}
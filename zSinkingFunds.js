@@ -0,0 +1,162 @@
+/**
+ * Savings goals (sinking funds) for Simplify Budget
+ * Named goals such as "Vacation 2027: 3,000 by June", stored as JSON in Dontedit K7.
+ * These are separate from the net worth goals in K6, which track asset totals.
+ *
+ * Fund shape:
+ * {
+ *   id: "fund-1719999999999",
+ *   name: "Vacation 2027",
+ *   target: 3000,
+ *   startMonth: "2025-07",        // first month contributions count
+ *   targetMonth: "2027-06",       // month the money is needed
+ *   source: "label" | "asset",
+ *   label: "Vacation",            // source "label": expenses with this label are contributions
+ *   asset: "Liquid Assets",       // source "asset": the linked net worth entry (asset + name)
+ *   account: "Holiday savings",
+ *   startingAmount: 0             // already saved before startMonth (source "label" only)
+ * }
+ *
+ * Progress and the required monthly contribution are computed on the client
+ * from cached expenses and net worth entries, so only the plan is stored here.
+ */
+
+const SINKING_FUNDS_CELL = "K7";
+
+const SINKING_FUND_SOURCES = ['label', 'asset'];
+
+/**
+ * Read savings goals from Dontedit K7
+ * @return {Object} Result with funds array
+ */
+function getSinkingFunds() {
+  try {
+    return {
+      success: true,
+      funds: getSinkingFundsFromDontedit_(),
+      revision: getDatasetRevision_("sinkingFunds")
+    };
+  } catch (error) {
+    Logger.log("Error in getSinkingFunds: " + error.toString());
+    return { success: false, error: error.toString() };
+  }
+}
+
+/**
+ * Save savings goals to Dontedit K7
+ * @param {Array} funds - Array of fund objects
+ * @param {number} expectedRevision - Revision the client last read (see zLock.js)
+ * @return {Object} Result with the cleaned funds and the new revision
+ */
+function saveSinkingFunds(funds, expectedRevision) {
+  if (!acquireWriteLock_("saveSinkingFunds")) return writeRetryResult_();
+
+  try {
+    const sheet = getBudgetSheet("Dontedit");
+    if (!sheet) {
+      return { success: false, error: "Dontedit sheet not found" };
+    }
+
+    if (!Array.isArray(funds)) {
+      return { success: false, error: "Savings goals must be an array" };
+    }
+
+    const monthPattern = /^\d{4}-(0[1-9]|1[0-2])$/;
+    const cleanFunds = [];
+
+    for (let i = 0; i < funds.length; i++) {
+      const fund = funds[i] || {};
+      const name = (fund.name || "").toString().trim();
+      const target = parseFloat(fund.target);
+      const label = `Goal ${i + 1}${name ? ` (${name})` : ''}`;
+
+      if (!name) {
+        return { success: false, error: `${label}: name is required` };
+      }
+      if (isNaN(target) || target <= 0) {
+        return { success: false, error: `${label}: target amount must be greater than 0` };
+      }
+      if (!monthPattern.test(fund.targetMonth || "")) {
+        return { success: false, error: `${label}: target month must be YYYY-MM` };
+      }
+      if (!monthPattern.test(fund.startMonth || "")) {
+        return { success: false, error: `${label}: start month must be YYYY-MM` };
+      }
+      if (fund.startMonth > fund.targetMonth) {
+        return { success: false, error: `${label}: target month is before the start month` };
+      }
+      if (SINKING_FUND_SOURCES.indexOf(fund.source) === -1) {
+        return { success: false, error: `${label}: unknown progress source "${fund.source}"` };
+      }
+
+      const cleanFund = {
+        id: fund.id || `fund-${Date.now()}-${i}`,
+        name: name,
+        target: Math.round(target * 100) / 100,
+        startMonth: fund.startMonth,
+        targetMonth: fund.targetMonth,
+        source: fund.source
+      };
+
+      if (fund.source === 'label') {
+        cleanFund.label = (fund.label || "").toString().trim();
+        if (!cleanFund.label) {
+          return { success: false, error: `${label}: pick the expense label that tracks contributions` };
+        }
+        cleanFund.startingAmount = Math.max(0, parseFloat(fund.startingAmount) || 0);
+      } else {
+        cleanFund.asset = (fund.asset || "").toString().trim();
+        cleanFund.account = (fund.account || "").toString().trim();
+        if (!cleanFund.asset || !cleanFund.account) {
+          return { success: false, error: `${label}: pick the net worth account to follow` };
+        }
+      }
+
+      cleanFunds.push(cleanFund);
+    }
+
+    const check = checkDatasetRevision_(sheet, "sinkingFunds", expectedRevision);
+    if (check.conflict) return check.conflict;
+
+    const previous = getSinkingFundsFromDontedit_();
+    sheet.getRange(SINKING_FUNDS_CELL).setValue(JSON.stringify({ funds: cleanFunds, version: 1, revision: check.revision }));
+
+    const changes = diffAuditObjects_(auditById_(previous), auditById_(cleanFunds));
+    if (changes) {
+      const ids = Object.keys(Object.assign({}, changes.before, changes.after));
+      logAudit_("saveSinkingFunds", "sinkingFunds", ids, changes.before, changes.after);
+    }
+
+    return {
+      success: true,
+      funds: cleanFunds,
+      revision: check.revision
+    };
+  } catch (error) {
+    Logger.log("Error in saveSinkingFunds: " + error.toString());
+    return { success: false, error: error.toString() };
+  } finally {
+    releaseWriteLock_();
+  }
+}
+
+/**
+ * Read funds array from Dontedit K7 (empty array when unset or invalid)
+ * @return {Array} Funds
+ */
+function getSinkingFundsFromDontedit_() {
+  const sheet = getBudgetSheet("Dontedit");
+  if (!sheet) return [];
+
+  const raw = sheet.getRange(SINKING_FUNDS_CELL).getValue();
+  if (!raw) return [];
+
+  try {
+    const parsed = JSON.parse(raw.toString());
+    if (Array.isArray(parsed)) return parsed;
+    if (parsed && Array.isArray(parsed.funds)) return parsed.funds;
+  } catch (e) {
+    Logger.log("Invalid savings goals JSON in " + SINKING_FUNDS_CELL + ": " + e.toString());
+  }
+  return [];
+}
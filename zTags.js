@@ -0,0 +1,110 @@
+/**
+ * Tags for Simplify Budget
+ * A transaction can carry any number of tags written as #words:
+ * - Expenses keep them in the label column (Expenses I, mirrored in Dontedit GA),
+ *   e.g. "#vacation-2026 #reimbursable". A label without any # is an older
+ *   single label and counts as one tag ("Vacation 2026" -> vacation-2026), except
+ *   the labels the app writes itself on recurring occurrences ("Subscription",
+ *   "Fixed Payment"), which are not tags.
+ * - Income has no label column, so its tags are the #words in its notes (J).
+ *
+ * Tags are compared in lower case. Utils.Tags on the client follows the same rules.
+ */
+
+const TAG_PATTERN = /#([\p{L}\p{N}_-]+)/gu;
+
+// Labels of recurring occurrences (zRecurringLedger.js), in lower case
+const SYSTEM_LABELS = ["subscription", "fixed payment"];
+
+/**
+ * Monthly totals per tag over one year, for expenses and income
+ * @param {number} year - Year to report on (defaults to the current year)
+ * @return {Object} Result with year, years (every year that has tagged
+ *   transactions, newest first) and tags [{tag, count, expenses: [12 monthly totals],
+ *   income: [12 monthly totals], expenseTotal, incomeTotal}], biggest first
+ */
+function getTagReport(year) {
+  try {
+    const reportYear = parseInt(year, 10) || new Date().getFullYear();
+
+    const expenseData = getExpenseData(null, null);
+    if (!expenseData.success) return expenseData;
+    const incomeData = getIncomeData();
+    if (!incomeData.success) return incomeData;
+
+    const byTag = {};
+    const years = {};
+    const add = function(tags, dateText, amount, field) {
+      if (tags.length === 0 || !amount) return;
+      const date = parsePayeeExpenseDate_(dateText);
+      if (isNaN(date.getTime())) return;
+
+      years[date.getFullYear()] = true;
+      if (date.getFullYear() !== reportYear) return;
+
+      tags.forEach(tag => {
+        if (!byTag[tag]) {
+          byTag[tag] = { tag: tag, count: 0, expenses: new Array(12).fill(0), income: new Array(12).fill(0) };
+        }
+        byTag[tag].count++;
+        byTag[tag][field][date.getMonth()] += amount;
+      });
+    };
+
+    expenseData.expenses.forEach(expense => {
+      add(parseTags_(expense.label, true), expense.date, expense.amount, "expenses");
+    });
+    incomeData.income.forEach(item => {
+      add(parseTags_(item.notes, false), item.date, item.amount, "income");
+    });
+
+    const round = value => Math.round(value * 100) / 100;
+    const tags = Object.keys(byTag).map(key => {
+      const entry = byTag[key];
+      entry.expenses = entry.expenses.map(round);
+      entry.income = entry.income.map(round);
+      entry.expenseTotal = round(entry.expenses.reduce((sum, value) => sum + value, 0));
+      entry.incomeTotal = round(entry.income.reduce((sum, value) => sum + value, 0));
+      return entry;
+    });
+
+    tags.sort((a, b) => (b.expenseTotal + b.incomeTotal) - (a.expenseTotal + a.incomeTotal) ||
+      a.tag.localeCompare(b.tag));
+
+    return {
+      success: true,
+      year: reportYear,
+      years: Object.keys(years).map(Number).sort((a, b) => b - a),
+      tags: tags
+    };
+  } catch (error) {
+    Logger.log("Error in getTagReport: " + error.toString());
+    return { success: false, error: error.toString() };
+  }
+}
+
+/**
+ * Tags in a label or notes text
+ * @param {string} text - Label or notes
+ * @param {boolean} wholeTextIsTag - Treat text without any # as one tag (expense labels)
+ * @return {Array<string>} Unique tags in lower case, without the #
+ */
+function parseTags_(text, wholeTextIsTag) {
+  const value = (text || "").toString().trim();
+  if (!value) return [];
+
+  if (value.indexOf("#") === -1) {
+    if (!wholeTextIsTag || SYSTEM_LABELS.indexOf(value.toLowerCase()) !== -1) return [];
+    const tag = value.toLowerCase().replace(/\s+/g, "-").replace(/[^\p{L}\p{N}_-]/gu, "");
+    return tag ? [tag] : [];
+  }
+
+  const tags = [];
+  let match;
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(value)) !== null) {
+    const tag = match[1].toLowerCase();
+    if (tags.indexOf(tag) === -1) tags.push(tag);
+  }
+  return tags;
+}
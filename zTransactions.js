@@ -80,6 +80,15 @@ function getExpenseData(month, year) {
     const expenses = [];
     let skippedCount = 0;
     let incomeSkipped = 0;
+
+    // Original currency details live next to the row on the Expenses sheet (L:N)
+    const expensesSheet = getBudgetSheet("Expenses");
+    const fxById = expensesSheet ? getFxColumnsById_(expensesSheet, 5, 4, 12) : {};
+    // ...and so does the name as entered, when it was saved as a payee (O, see zPayees.js)
+    const originalNameById = expensesSheet ? getOriginalNamesById_(expensesSheet, 5) : {};
+
+    // Recurring occurrences with their own ledger row (see zRecurringLedger.js)
+    const occurrences = collectRecurringOccurrenceIds_(data.map(row => row[6]));
     
     for (let i = 0; i < data.length; i++) {
       const row = data[i];
@@ -111,6 +120,11 @@ function getExpenseData(month, year) {
         skippedCount++;
         continue;
       }
+
+      if (isSupersededRecurringRow_(row[6], expenseDate, occurrences)) {
+        skippedCount++;
+        continue;
+      }
       
       // Filter by month/year only if specific month/year requested
       if (getAllData || (expenseDate.getMonth() === month && expenseDate.getFullYear() === year)) {
@@ -120,6 +134,9 @@ function getExpenseData(month, year) {
           continue;
         }
         
+        const transactionId = (row[6] || "").toString();
+        const fx = fxById[transactionId];
+
         expenses.push({
           rowIndex: i + startRow,
           account: (row[0] || "").toString(),            // FV
@@ -128,8 +145,13 @@ function getExpenseData(month, year) {
           name: (row[3] || "").toString(),               // FY
           amount: amount,                                // FZ
           label: (row[5] || "").toString(),              // GA
-          transactionId: (row[6] || "").toString(),      // GB
-          notes: ""  // Always empty since we're not reading it (it's in GC)
+          transactionId: transactionId,                  // GB
+          notes: "",  // Always empty since we're not reading it (it's in GC)
+          originalCurrency: fx ? fx.originalCurrency : "",
+          originalAmount: fx ? fx.originalAmount : "",
+          fxRate: fx ? fx.fxRate : "",
+          originalName: originalNameById[transactionId] || "",
+          version: getExpenseVersion_(row, displayRow)
         });
       } else {
         skippedCount++;
@@ -159,74 +181,477 @@ function getExpenseData(month, year) {
 }
 
 
+/**
+ * Query expenses by date range, filters and text, one page at a time
+ * Only the date column (FW) of the Dontedit mirror is read in full; the other
+ * columns are read just for the rows between the first and last date match.
+ *
+ * On the Expenses sheet, the original currency and name columns are read only
+ * for the rows on the returned page.
+ * The grids stay on getExpenseData (see the note at the top of yearlyGrid.js.html).
+ *
+ * @param {Object} query - All fields optional:
+ *   startDate, endDate   - "yyyy-MM-dd", inclusive
+ *   categories, accounts, labels - Arrays of values to keep (exact match)
+ *   search               - Text matched against name, notes, category, account and label
+ *   minAmount, maxAmount - Amount bounds, inclusive
+ *   sortBy               - "date" (default), "amount", "name", "category" or "account"
+ *   sortDir              - "desc" (default) or "asc"
+ *   page, pageSize       - 1-based page number (default 1), rows per page (default 100, max 1000)
+ * @return {Object} Result with expenses for the page, totals for all matches and paging info
+ */
+function queryExpenses(query) {
+  try {
+    query = query || {};
+
+    const startDate = parseQueryDate_(query.startDate, "startDate");
+    const endDate = parseQueryDate_(query.endDate, "endDate");
+    if (endDate) endDate.setHours(23, 59, 59, 999);
+    if (startDate && endDate && startDate > endDate) {
+      return { success: false, error: "startDate is after endDate" };
+    }
+
+    const sortFields = ["date", "amount", "name", "category", "account"];
+    const sortBy = query.sortBy || "date";
+    if (sortFields.indexOf(sortBy) === -1) {
+      return { success: false, error: "Cannot sort by " + sortBy };
+    }
+    const direction = query.sortDir === "asc" ? 1 : -1;
+
+    const pageSize = Math.min(Math.max(parseInt(query.pageSize, 10) || 100, 1), 1000);
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+
+    const toSet = values => Array.isArray(values) && values.length > 0
+      ? values.reduce((set, v) => { set[v.toString()] = true; return set; }, {})
+      : null;
+    const categories = toSet(query.categories);
+    const accounts = toSet(query.accounts);
+    const labels = toSet(query.labels);
+    const search = (query.search || "").toString().trim().toLowerCase();
+    const minAmount = query.minAmount != null && query.minAmount !== "" ? parseFloat(query.minAmount) : null;
+    const maxAmount = query.maxAmount != null && query.maxAmount !== "" ? parseFloat(query.maxAmount) : null;
+
+    const result = {
+      success: true,
+      expenses: [],
+      totals: { count: 0, amount: 0, byCategory: {} },
+      page: page,
+      pageSize: pageSize,
+      totalPages: 0,
+      hasMore: false
+    };
+
+    const donteditSheet = getBudgetSheet("Dontedit");
+    const startRow = 5;
+    const lastRow = donteditSheet.getLastRow();
+    if (lastRow < startRow) return result;
+
+    // 1) Narrow the rows down by date using the date column only
+    const dates = donteditSheet.getRange(`FW${startRow}:FW${lastRow}`).getValues();
+    let first = -1;
+    let last = -1;
+    for (let i = 0; i < dates.length; i++) {
+      const value = dates[i][0];
+      if (!value) continue;
+      const date = value instanceof Date ? value : new Date(value);
+      if (isNaN(date.getTime())) continue;
+      if (startDate && date < startDate) continue;
+      if (endDate && date > endDate) continue;
+      if (first === -1) first = i;
+      last = i;
+    }
+    if (first === -1) return result;
+
+    // 2) Read the full rows (including notes in GC) for that span
+    const range = donteditSheet.getRange(`FV${startRow + first}:GC${startRow + last}`);
+    const data = range.getValues();
+    const displayData = range.getDisplayValues();
+
+    // Recurring occurrences with their own ledger row (see zRecurringLedger.js)
+    const occurrences = collectRecurringOccurrenceIds_(data.map(row => row[6]));
+
+    const matches = [];
+    for (let i = 0; i < data.length; i++) {
+      const row = data[i];
+      const dateValue = row[1];
+      const amount = parseFloat(row[4]);
+      if (!dateValue || !row[2] || isNaN(amount) || amount <= 0) continue;
+
+      const date = dateValue instanceof Date ? dateValue : new Date(dateValue);
+      if (isNaN(date.getTime())) continue;
+      if (startDate && date < startDate) continue;
+      if (endDate && date > endDate) continue;
+      if (isSupersededRecurringRow_(row[6], date, occurrences)) continue;
+
+      const account = (row[0] || "").toString();
+      const category = row[2].toString();
+      const name = (row[3] || "").toString();
+      const label = (row[5] || "").toString();
+      const notes = (row[7] || "").toString();
+
+      if (categories && !categories[category]) continue;
+      if (accounts && !accounts[account]) continue;
+      if (labels && !labels[label]) continue;
+      if (minAmount !== null && amount < minAmount) continue;
+      if (maxAmount !== null && amount > maxAmount) continue;
+      if (search && [name, notes, category, account, label].join(" ").toLowerCase().indexOf(search) === -1) continue;
+
+      matches.push({
+        rowIndex: startRow + first + i,
+        time: date.getTime(),
+        account: account,
+        date: displayData[i][1].toString(),
+        category: category,
+        name: name,
+        amount: amount,
+        label: label,
+        transactionId: (row[6] || "").toString(),
+        notes: notes,
+        version: getExpenseVersion_(row, displayData[i])
+      });
+
+      result.totals.count++;
+      result.totals.amount += amount;
+      result.totals.byCategory[category] = (result.totals.byCategory[category] || 0) + amount;
+    }
+
+    result.totals.amount = Math.round(result.totals.amount * 100) / 100;
+    Object.keys(result.totals.byCategory).forEach(category => {
+      result.totals.byCategory[category] = Math.round(result.totals.byCategory[category] * 100) / 100;
+    });
+
+    // 3) Sort, then cut out the requested page
+    const sortKey = sortBy === "date" ? "time" : sortBy;
+    matches.sort((a, b) => {
+      const x = a[sortKey];
+      const y = b[sortKey];
+      const diff = typeof x === "number" ? x - y : x.localeCompare(y);
+      return (diff || a.rowIndex - b.rowIndex) * direction;
+    });
+
+    result.totalPages = Math.ceil(matches.length / pageSize);
+    result.hasMore = page < result.totalPages;
+    const pageItems = matches.slice((page - 1) * pageSize, page * pageSize);
+
+    // 4) Original currency details and names as entered for the rows on this page only
+    const expensesSheet = pageItems.length > 0 ? getBudgetSheet("Expenses") : null;
+    const extrasById = expensesSheet
+      ? getExpenseExtrasByIds_(expensesSheet, pageItems.map(expense => expense.transactionId))
+      : {};
+
+    result.expenses = pageItems.map(expense => {
+      const extras = extrasById[expense.transactionId];
+      delete expense.time;
+      expense.originalCurrency = extras ? extras.originalCurrency : "";
+      expense.originalAmount = extras ? extras.originalAmount : "";
+      expense.fxRate = extras ? extras.fxRate : "";
+      expense.originalName = extras ? extras.originalName : "";
+      return expense;
+    });
+
+    return result;
+  } catch (error) {
+    Logger.log("Error in queryExpenses: " + error.toString());
+    return { success: false, error: error.toString() };
+  }
+}
+
+/**
+ * Original currency details and names as entered for some expenses
+ * Only the ID column is read in full; L:O are read for the span of rows holding the IDs.
+ * @param {Sheet} sheet - Expenses sheet
+ * @param {Array} ids - Transaction IDs
+ * @return {Object} Map of ID to {originalCurrency, originalAmount, fxRate, originalName}
+ */
+function getExpenseExtrasByIds_(sheet, ids) {
+  const startRow = 5;
+  const lastRow = sheet.getLastRow();
+  const wanted = new Set(ids.filter(id => id));
+  if (lastRow < startRow || wanted.size === 0) return {};
+
+  const rowById = {};
+  sheet.getRange(startRow, 4, lastRow - startRow + 1, 1).getValues().forEach((row, i) => {
+    const id = (row[0] || "").toString();
+    if (wanted.has(id)) rowById[id] = startRow + i;
+  });
+  const rows = Object.keys(rowById).map(id => rowById[id]);
+  if (rows.length === 0) return {};
+
+  const firstRow = Math.min.apply(null, rows);
+  const lastMatch = Math.max.apply(null, rows);
+  const values = sheet.getRange(firstRow, 12, lastMatch - firstRow + 1, EXPENSE_ORIGINAL_NAME_COLUMN - 11).getValues();
+
+  const map = {};
+  Object.keys(rowById).forEach(id => {
+    const row = values[rowById[id] - firstRow];
+    const currency = (row[0] || "").toString().trim();
+    map[id] = {
+      originalCurrency: currency,
+      originalAmount: currency ? parseFloat(row[1]) || 0 : "",
+      fxRate: currency ? parseFloat(row[2]) || 0 : "",
+      originalName: (row[EXPENSE_ORIGINAL_NAME_COLUMN - 12] || "").toString()
+    };
+  });
+  return map;
+}
+
+/**
+ * Parse a "yyyy-MM-dd" query date as local midnight
+ * @param {string} value - Date string (empty for no bound)
+ * @param {string} field - Field name for the error message
+ * @return {Date|null} Date, or null when not given
+ */
+function parseQueryDate_(value, field) {
+  if (!value) return null;
+
+  const match = value.toString().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) {
+    throw new Error(`${field} must be in yyyy-MM-dd format`);
+  }
+  return new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+}
+
+
 /**
  * Enhanced saveBatchExpenses that reuses cleared rows
+ * Expenses with an originalCurrency are stored in the base currency, with the
+ * original amount and rate in L:N (see zCurrency.js).
+ * Names are saved as their payee from the payee directory, with the name as
+ * entered in O (see zPayees.js); the result lists them as
+ * renamed: [{transactionId, name, originalName}].
+ * The result lists spending alerts the save reached (see zAlerts.js).
  */
 function saveBatchExpenses(expenses) {
   const sh = getBudgetSheet("Expenses");
   if (!sh)  return { success: false, error: "Expenses sheet missing" };
 
-  // 1) pull only col D, build map + empty‐row list
-  const startRow = 5;
-  let lastRow  = Math.max(sh.getLastRow(), startRow);
-  const ids      = sh.getRange(startRow, 4, lastRow - startRow + 1).getValues().flat();
-  const map = {};
-  const holes = [];
-  ids.forEach((id, i) => {
-    const r = startRow + i;
-    if (id)       map[id] = r;
-    else if (holes.length < expenses.length) holes.push(r);
-  });
+  // Another save could pick the same empty rows; see zLock.js
+  if (!acquireWriteLock_("saveBatchExpenses")) return writeRetryResult_();
+
+  let result;
+  try {
+    // 0) fill missing category/account from categorization rules (Dontedit K9)
+    applyCategorizationRules_(expenses);
+
+    // 1) pull only col D, build map + empty‐row list
+    const startRow = 5;
+    let lastRow  = Math.max(sh.getLastRow(), startRow);
+    const ids      = sh.getRange(startRow, 4, lastRow - startRow + 1).getValues().flat();
+    const originalNames = sh.getRange(startRow, EXPENSE_ORIGINAL_NAME_COLUMN, lastRow - startRow + 1).getValues().flat();
+    const map = {};
+    const holes = [];
+    ids.forEach((id, i) => {
+      const r = startRow + i;
+      if (id)       map[id] = r;
+      else if (holes.length < expenses.length) holes.push(r);
+    });
+
+    // 2) separate out updates vs inserts
+    const toUpdate = [];
+    const toInsert = [];
+    const normalizeFx = createFxNormalizer_();
+    const normalizePayee = createPayeeNormalizer_();
+    const renamed = [];
+    for (const e of expenses) {
+      const fxValues = normalizeFx(e);
+      if (!e.amount || +e.amount <= 0) continue;
+      const row = map[e.transactionId];
+
+      // An edit that sends back the payee name keeps the text entered the first time
+      const payee = normalizePayee(e.name || e.description || "");
+      const previousOriginal = row ? (originalNames[row - startRow] || "").toString() : "";
+      const originalName = payee.original ||
+        (payee.payeeId && previousOriginal && normalizePayee(previousOriginal).payeeId === payee.payeeId ? previousOriginal : "");
+      if (payee.original) renamed.push({ transactionId: e.transactionId, name: payee.name, originalName: payee.original });
 
-  // 2) separate out updates vs inserts
-  const toUpdate = [];
-  const toInsert = [];
-  for (const e of expenses) {
-    if (!e.amount || +e.amount <= 0) continue;
-    const row = map[e.transactionId];
-    const values = [
-      e.transactionId,
-      createDateOnly(e.date),
-      +e.amount,
-     getZategoryFromCache(e.category),
-      e.name || e.description || "",
-      e.label  || "",
-      e.notes  || "",
-      e.account && e.account.trim() !== '' ? e.account : 'Other' 
-    ];
-    if (row)       toUpdate.push({ row, values });
-    else {
-      const target = holes.length ? holes.shift() : ++lastRow;
-      toInsert.push({ row: target, values });
-      map[e.transactionId] = target;
+      const values = [
+        e.transactionId,
+        createDateOnly(e.date),
+        +e.amount,
+       getZategoryFromCache(e.category),
+        payee.name,
+        e.label  || "",
+        e.notes  || "",
+        e.account && e.account.trim() !== '' ? e.account : 'Other',
+        ...fxValues,
+        originalName
+      ];
+      if (row)       toUpdate.push({ row, values });
+      else {
+        const target = holes.length ? holes.shift() : ++lastRow;
+        toInsert.push({ row: target, values });
+        map[e.transactionId] = target;
+      }
     }
+
+    // Rows edited on the sheet since the snapshot: write nothing, the client retries
+    const targets = toUpdate.map(u => ({ row: u.row, id: u.values[0] }))
+      .concat(toInsert.map(i => ({ row: i.row, id: "" })));
+    if (!verifyTargetRows_(sh, 4, targets)) return writeRetryResult_(WRITE_CHANGED_MESSAGE);
+
+    const before = readAuditRows_("expenses", sh, toUpdate.map(u => u.row));
+
+    // 3) batch‐write updates
+    toUpdate.forEach(u => {
+      sh.getRange(u.row, 4, 1, 12).setValues([u.values]);
+    });
+    // 4) batch‐write inserts (they may not be contiguous—group if you can)
+    toInsert.forEach(i => {
+      sh.getRange(i.row, 4, 1, 12).setValues([i.values]);
+    });
+    // Update master timestamp
+     updateDataTimestamp('masterData');
+
+    logRowChanges_("saveBatchExpenses", "expenses", sh, before, toUpdate.concat(toInsert).map(w => w.row));
+
+    result = {
+      success: true,
+      updated: toUpdate.length,
+      inserted: toInsert.length,
+      reused: expenses.length - toUpdate.length - toInsert.length,
+      renamed: renamed
+    };
+  } catch (error) {
+    Logger.log("Error in saveBatchExpenses: " + error.toString());
+    return { success: false, error: error.toString() };
+  } finally {
+    releaseWriteLock_();
   }
 
-  // 3) batch‐write updates
-  toUpdate.forEach(u => {
-    sh.getRange(u.row, 4, 1, 8).setValues([u.values]);
-  });
-  // 4) batch‐write inserts (they may not be contiguous—group if you can)
-  toInsert.forEach(i => {
-    sh.getRange(i.row, 4, 1, 8).setValues([i.values]);
-  });
-  // Update master timestamp
-   updateDataTimestamp('masterData');
+  // Checked once the lock is released; a nested save leaves it to its caller
+  result.alerts = isWriteLockHeld_() ? [] : checkCategoryAlerts_(expenses.map(e => e.date));
+  return result;
+}
 
-  return {
-    success: true,
-    updated: toUpdate.length,
-    inserted: toInsert.length,
-    reused: expenses.length - toUpdate.length - toInsert.length
-  };
+/**
+ * Save expenses queued on the client (including ones entered offline), holding
+ * back edits that would silently overwrite a change made on the sheet meanwhile.
+ * Each expense may carry:
+ *   baseVersion   - version of the row the edit started from (see getExpenseVersion_)
+ *   baseTimestamp - masterData timestamp (Dontedit J9) the client had at that point
+ * Rows are only compared when J9 is newer than baseTimestamp.
+ * @param {Array} expenses - Expense objects as for saveBatchExpenses
+ * @return {Object} Result with save counts and conflicts [{transactionId, reason, server}]
+ */
+function saveQueuedExpenses(expenses) {
+  if (!acquireWriteLock_("saveQueuedExpenses")) return writeRetryResult_();
+
+  let result;
+  let toSave = [];
+  try {
+    const masterTimestamp = getMasterDataTimestamp_();
+    const toCheck = expenses.filter(e => e.baseVersion &&
+      (!masterTimestamp || !e.baseTimestamp || new Date(e.baseTimestamp) < masterTimestamp));
+
+    const conflicts = [];
+    if (toCheck.length > 0) {
+      const current = getExpensesById_(toCheck.map(e => e.transactionId));
+      toCheck.forEach(e => {
+        const server = current[e.transactionId];
+        if (!server) {
+          conflicts.push({ transactionId: e.transactionId, reason: 'deleted', server: null });
+        } else if (server.version !== e.baseVersion) {
+          conflicts.push({ transactionId: e.transactionId, reason: 'changed', server: server });
+        }
+      });
+    }
+
+    const conflictIds = conflicts.map(c => c.transactionId);
+    toSave = expenses.filter(e => conflictIds.indexOf(e.transactionId) === -1);
+    result = toSave.length > 0
+      ? saveBatchExpenses(toSave)
+      : { success: true, updated: 0, inserted: 0, reused: 0 };
+
+    if (!result.success) return result;
+
+    result.conflicts = conflicts;
+  } catch (error) {
+    Logger.log("Error in saveQueuedExpenses: " + error.toString());
+    return { success: false, error: error.toString() };
+  } finally {
+    releaseWriteLock_();
+  }
+
+  result.alerts = toSave.length > 0 && !isWriteLockHeld_() ? checkCategoryAlerts_(toSave.map(e => e.date)) : [];
+  return result;
+}
+
+/**
+ * Short fingerprint of an expense row in the Dontedit mirror (FV:GB)
+ * Changes whenever the account, date, category, name, amount or label changes.
+ * @param {Array} row - Row values
+ * @param {Array} displayRow - Row display values (the date is compared as displayed)
+ * @return {string} Version string
+ */
+function getExpenseVersion_(row, displayRow) {
+  const text = [row[0], displayRow[1], row[2], row[3], row[4], row[5]].join('|');
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(36);
+}
+
+/**
+ * Current expenses for a set of IDs, in the same shape as getExpenseData
+ * @param {Array} transactionIds - IDs to look up
+ * @return {Object} Map of ID to expense (IDs not on the sheet are missing)
+ */
+function getExpensesById_(transactionIds) {
+  const donteditSheet = getBudgetSheet("Dontedit");
+  const startRow = 5;
+  const lastRow = donteditSheet.getLastRow();
+  if (lastRow < startRow) return {};
+
+  const wanted = {};
+  transactionIds.forEach(id => { wanted[id] = true; });
+
+  const range = donteditSheet.getRange(`FV${startRow}:GB${lastRow}`);
+  const data = range.getValues();
+  const displayData = range.getDisplayValues();
+
+  const found = {};
+  for (let i = 0; i < data.length; i++) {
+    const row = data[i];
+    const id = (row[6] || "").toString();
+    if (!id || !wanted[id]) continue;
+
+    found[id] = {
+      rowIndex: i + startRow,
+      account: (row[0] || "").toString(),
+      date: displayData[i][1].toString(),
+      category: (row[2] || "").toString(),
+      name: (row[3] || "").toString(),
+      amount: parseFloat(row[4]) || 0,
+      label: (row[5] || "").toString(),
+      transactionId: id,
+      notes: "",
+      version: getExpenseVersion_(row, displayData[i])
+    };
+  }
+  return found;
+}
+
+/**
+ * masterData timestamp from Dontedit J9 as a Date (null when unset)
+ */
+function getMasterDataTimestamp_() {
+  const value = getBudgetSheet("Dontedit").getRange("J9").getValue();
+  if (!value) return null;
+
+  const date = value instanceof Date ? value : new Date(value.toString());
+  return isNaN(date.getTime()) ? null : date;
 }
 
 /**
  * Clear a transaction row by ID (sets all cells to blank)
+ * The row is copied to the trash first, so it can be restored (zTrash.js).
  * @param {string} transactionId - Transaction ID to clear
  * @return {Object} Result object with success status
  */
 function clearTransactionRow(transactionId) {
+  if (!acquireWriteLock_("clearTransactionRow")) return writeRetryResult_();
+
   try {
     // Get the expenses sheet
     const sheet = getBudgetSheet("Expenses");
@@ -250,25 +675,174 @@ function clearTransactionRow(transactionId) {
     // Determine the row of the found cell
     const rowIndex = finder.getRow();
     
-    // Clear the cells in that row (columns D through K)
-    sheet.getRange(rowIndex, 4, 1, 8).clearContent();
+    // Keep a copy in the trash so the deletion can be undone
+    const trashed = moveRowsToTrash_("expenses", sheet, [rowIndex]);
+
+    // Clear the cells in that row (columns D through O, including the FX columns and original name)
+    sheet.getRange(rowIndex, 4, 1, 12).clearContent();
     
     // Update any caches (removed unused destructuring)
     // Update master timestamp
     updateDataTimestamp('masterData');
+    logRowDeletes_("clearTransactionRow", "expenses", trashed);
     return {
       success: true,
       message: "Transaction row cleared successfully",
       transactionId,
-      rowIndex
+      rowIndex,
+      trashId: trashed[0].trashId
     };
     
   } catch (e) {
     Logger.log("Error in clearTransactionRow: " + e.toString());
     return { success: false, error: e.toString() };
+  } finally {
+    releaseWriteLock_();
   }
 }
 
+/**
+ * Edit or delete many expenses in one call
+ * The Expenses sheet is read once; each change is written with one RangeList call
+ * (dates are written per row), and the masterData timestamp is updated once.
+ *
+ * @param {Array} transactionIds - Expenses to change
+ * @param {Object} changes - Either {delete: true}, or any of:
+ *   category  - New category name
+ *   account   - New account
+ *   label     - New label ("" clears it)
+ *   shiftDays - Move each date by this many days (negative moves back)
+ * @return {Object} Result with per-ID results [{transactionId, success, error, expense}],
+ *   where expense is the updated row as getExpenseData returns it
+ *   (deleted expenses have trashId instead, see zTrash.js)
+ */
+function bulkEditExpenses(transactionIds, changes) {
+  if (!acquireWriteLock_("bulkEditExpenses")) return writeRetryResult_();
+
+  let result;
+  const alertDates = [];
+  try {
+    if (!Array.isArray(transactionIds) || transactionIds.length === 0) {
+      return { success: false, error: "No expenses selected" };
+    }
+    changes = changes || {};
+
+    const isDelete = changes.delete === true;
+    const shiftDays = changes.shiftDays ? parseInt(changes.shiftDays, 10) : 0;
+    if (isNaN(shiftDays)) {
+      return { success: false, error: "shiftDays must be a whole number" };
+    }
+    const hasEdit = changes.category || changes.account || changes.label !== undefined || shiftDays;
+    if (!isDelete && !hasEdit) {
+      return { success: false, error: "Nothing to change" };
+    }
+
+    const sheet = getBudgetSheet("Expenses");
+    if (!sheet) return { success: false, error: "Expenses sheet not found" };
+
+    // Resolve the category first so a bad name fails before anything is written
+    const categoryFormula = !isDelete && changes.category ? getZategoryFromCache(changes.category) : null;
+
+    const startRow = 5;
+    const lastRow = sheet.getLastRow();
+    const rows = lastRow >= startRow
+      ? sheet.getRange(startRow, 4, lastRow - startRow + 1, 2).getValues() // D:E (ID, date)
+      : [];
+
+    const rowById = {};
+    rows.forEach((row, i) => {
+      if (row[0]) rowById[row[0].toString()] = { row: startRow + i, date: row[1] };
+    });
+
+    const results = [];
+    const found = [];
+    const seen = {};
+    transactionIds.forEach(id => {
+      const key = (id || "").toString();
+      if (!key || seen[key]) return;
+      seen[key] = true;
+
+      if (!rowById[key]) {
+        results.push({ transactionId: key, success: false, error: "Transaction not found" });
+        return;
+      }
+      found.push(Object.assign({ transactionId: key }, rowById[key]));
+      alertDates.push(rowById[key].date);
+    });
+
+    if (found.length > 0) {
+      if (!verifyTargetRows_(sheet, 4, found.map(f => ({ row: f.row, id: f.transactionId })))) {
+        return writeRetryResult_(WRITE_CHANGED_MESSAGE);
+      }
+
+      if (isDelete) {
+        const trashed = moveRowsToTrash_("expenses", sheet, found.map(f => f.row));
+        sheet.getRangeList(found.map(f => `D${f.row}:O${f.row}`)).clearContent();
+        logRowDeletes_("bulkEditExpenses", "expenses", trashed);
+        found.forEach((f, i) => results.push({
+          transactionId: f.transactionId,
+          success: true,
+          deleted: true,
+          trashId: trashed[i].trashId
+        }));
+      } else {
+        const before = readAuditRows_("expenses", sheet, found.map(f => f.row));
+        const updated = [];
+        found.forEach(f => {
+          if (shiftDays) {
+            const date = f.date instanceof Date ? f.date : new Date(f.date);
+            if (!f.date || isNaN(date.getTime())) {
+              results.push({ transactionId: f.transactionId, success: false, error: "Expense has no valid date" });
+              return;
+            }
+            const shifted = new Date(date.getFullYear(), date.getMonth(), date.getDate() + shiftDays);
+            sheet.getRange(f.row, 5).setValue(shifted);
+            alertDates.push(shifted);
+          }
+          updated.push(f);
+        });
+
+        if (updated.length > 0) {
+          const cells = column => updated.map(f => `${column}${f.row}`);
+          if (categoryFormula) sheet.getRangeList(cells("G")).setValue(categoryFormula);
+          if (changes.label !== undefined) sheet.getRangeList(cells("I")).setValue(changes.label || "");
+          if (changes.account) sheet.getRangeList(cells("K")).setValue(changes.account);
+
+          // Return the rows as the mirror now shows them, so clients can update their caches
+          SpreadsheetApp.flush();
+          logRowChanges_("bulkEditExpenses", "expenses", sheet, before, updated.map(f => f.row));
+          const current = getExpensesById_(updated.map(f => f.transactionId));
+          updated.forEach(f => results.push({
+            transactionId: f.transactionId,
+            success: true,
+            expense: current[f.transactionId] || null
+          }));
+        }
+      }
+    }
+
+    const succeeded = results.filter(r => r.success).length;
+    if (succeeded > 0) {
+      updateDataTimestamp('masterData');
+    }
+
+    result = {
+      success: true,
+      results: results,
+      succeeded: succeeded,
+      failed: results.length - succeeded
+    };
+  } catch (error) {
+    Logger.log("Error in bulkEditExpenses: " + error.toString());
+    return { success: false, error: error.toString() };
+  } finally {
+    releaseWriteLock_();
+  }
+
+  result.alerts = result.succeeded > 0 && !isWriteLockHeld_() ? checkCategoryAlerts_(alertDates) : [];
+  return result;
+}
+
 /**
  * Get current month and year
  * @return {Object} Object with month and year properties
@@ -289,6 +863,9 @@ function getCurrentMonthYear() {
 
 /**
  * Helper function to copy budget from previous month to current month
+ * Only the budgeted amounts are copied. Rollover categories (budgetData.rollover,
+ * keyed by category index like budgets) get their carried-over amount computed
+ * from past budgets and spending on the client, so nothing extra is stored here.
  * @param {Object} budgetData - The budget data object
  * @param {number} currentYear - Current year
  * @param {number} currentMonth - Current month (0-based)
@@ -362,7 +939,8 @@ function getBudgetData() {
       
       return { 
         success: true, 
-        budgetData: emptyData
+        budgetData: emptyData,
+        revision: 0
       };
     }
     
@@ -385,8 +963,9 @@ function getBudgetData() {
     const currentYear = now.getFullYear();
     
     if (copyPreviousMonthBudget(budgetData, currentYear, currentMonth)) {
-      // Save the updated budget data with copied values
-      saveBudgetData(budgetData);
+      // Save the updated budget data with copied values, unless another device saved meanwhile
+      const saved = saveBudgetData(budgetData, budgetData.revision || 0);
+      if (saved.success) budgetData.revision = saved.revision;
     }
     
     // Cache handled by CacheManager on frontend
@@ -394,7 +973,8 @@ function getBudgetData() {
     
     return {
       success: true,
-      budgetData: budgetData
+      budgetData: budgetData,
+      revision: budgetData.revision || 0
     };
     
   } catch (error) {
@@ -408,9 +988,12 @@ function getBudgetData() {
  * Enhanced saveBudgetData function with centralized timestamp
  * Saves data to Dontedit K10, timestamp managed by centralized system in J10
  * @param {Object} budgetData - Complete budget data object
- * @return {Object} Result with success status
+ * @param {number} expectedRevision - Revision the client last read (see zLock.js)
+ * @return {Object} Result with success status and the new revision
  */
-function saveBudgetData(budgetData) {
+function saveBudgetData(budgetData, expectedRevision) {
+  if (!acquireWriteLock_("saveBudgetData")) return writeRetryResult_();
+
   try {
     const sheet = getBudgetSheet("Dontedit");
     
@@ -418,14 +1001,26 @@ function saveBudgetData(budgetData) {
       return { success: false, error: "Dontedit sheet not found" };
     }
     
+    const check = checkDatasetRevision_(sheet, "budget", expectedRevision);
+    if (check.conflict) return check.conflict;
+
     // Prepare data without timestamp (clean JSON)
     const cleanBudgetData = {
       ...budgetData,
-      version: 1
+      version: 1,
+      revision: check.revision
     };
     
+    const previous = readAuditJsonCell_(sheet, "K10");
+
     // Save data to K10
     sheet.getRange("K10").setValue(JSON.stringify(cleanBudgetData));
+
+    // Budgets are keyed by month, so the diff shows just the months that changed
+    const changes = diffAuditObjects_(previous, cleanBudgetData, 2);
+    if (changes) {
+      logAudit_("saveBudgetData", "budget", [], changes.before, changes.after);
+    }
     
     // Update timestamp in J10 for the centralized system
     updateDataTimestamp('budget');
@@ -434,12 +1029,201 @@ function saveBudgetData(budgetData) {
     // Server-side doesn't cache in properties
     
     return { 
-      success: true
+      success: true,
+      revision: check.revision
     };
     
   } catch (error) {
     Logger.log("Error in saveBudgetData: " + error.toString());
     return { success: false, error: error.toString() };
+  } finally {
+    releaseWriteLock_();
+  }
+}
+
+
+
+// Split transactions: one purchase spread over several categories.
+// Each part is a normal Expenses row whose ID is "<parentId>~<n>", so category
+// formulas, the Dontedit mirror and the hole-reuse logic keep working unchanged.
+const SPLIT_ID_SEPARATOR = '~';
+
+/**
+ * Get the parent transaction ID of a split part
+ * @param {string} transactionId - Transaction ID
+ * @return {string} Parent ID, or '' if the transaction is not a split part
+ */
+function getSplitParentId(transactionId) {
+  const id = (transactionId || "").toString();
+  const index = id.lastIndexOf(SPLIT_ID_SEPARATOR);
+  if (index <= 0) return "";
+  return /^\d+$/.test(id.slice(index + 1)) ? id.slice(0, index) : "";
+}
+
+/**
+ * Save a split expense. Replaces the parent row (if the purchase was a
+ * single expense before) and any parts that are no longer used, once the
+ * new parts are saved. A purchase made in another currency stays in it:
+ * each part gets its share of the original amount at the same rate.
+ * @param {Object} split - {transactionId, date, name, account, notes, label,
+ *                          parts: [{category, amount, notes}]}
+ * @return {Object} Result with the saved part IDs
+ */
+function saveSplitExpense(split) {
+  if (!acquireWriteLock_("saveSplitExpense")) return writeRetryResult_();
+
+  let result;
+  try {
+    if (!split || !split.transactionId) {
+      return { success: false, error: "Split expense needs a parent transaction ID" };
+    }
+
+    const parentId = getSplitParentId(split.transactionId) || split.transactionId.toString();
+    const parts = (split.parts || []).filter(p => p && p.category && +p.amount > 0);
+
+    if (parts.length < 2) {
+      return { success: false, error: "A split needs at least two parts with a category and amount" };
+    }
+
+    const sh = getBudgetSheet("Expenses");
+    if (!sh) return { success: false, error: "Expenses sheet missing" };
+
+    // Resolve every category up front so nothing is cleared if one is invalid
+    parts.forEach(part => getZategoryFromCache(part.category));
+
+    const fx = getSplitOriginalCurrency_(sh, parentId);
+    const total = parts.reduce((sum, part) => sum + +part.amount, 0);
+    let originalLeft = fx ? fx.originalAmount : 0;
+
+    const expenses = parts.map((part, index) => {
+      const expense = {
+        transactionId: parentId + SPLIT_ID_SEPARATOR + (index + 1),
+        date: split.date,
+        amount: +part.amount,
+        category: part.category,
+        name: split.name || "",
+        label: split.label || "",
+        notes: part.notes || split.notes || "",
+        account: split.account
+      };
+      if (fx) {
+        // The last part takes what's left, so the parts add up to the original amount
+        const share = index === parts.length - 1
+          ? originalLeft
+          : Math.round(fx.originalAmount * +part.amount / total * 100) / 100;
+        originalLeft = Math.round((originalLeft - share) * 100) / 100;
+        expense.originalCurrency = fx.originalCurrency;
+        expense.originalAmount = share;
+        expense.fxRate = fx.fxRate;
+      }
+      return expense;
+    });
+
+    const saved = saveBatchExpenses(expenses);
+    if (!saved.success) return saved;
+
+    // Only now clear the unsplit parent row and parts beyond the new count
+    const startRow = 5;
+    const lastRow = Math.max(sh.getLastRow(), startRow);
+    const ids = sh.getRange(startRow, 4, lastRow - startRow + 1).getValues().flat();
+    const staleRows = [];
+    ids.forEach((id, i) => {
+      const value = (id || "").toString();
+      if (!value) return;
+
+      const isParent = value === parentId;
+      const isStalePart = getSplitParentId(value) === parentId &&
+        parseInt(value.slice(value.lastIndexOf(SPLIT_ID_SEPARATOR) + 1), 10) > parts.length;
+
+      if (isParent || isStalePart) staleRows.push(startRow + i);
+    });
+
+    if (staleRows.length > 0) {
+      const before = readAuditRows_("expenses", sh, staleRows);
+      staleRows.forEach(row => sh.getRange(row, 4, 1, 12).clearContent());
+      logRowChanges_("saveSplitExpense", "expenses", sh, before, staleRows);
+    }
+
+    result = {
+      success: true,
+      parentId: parentId,
+      total: expenses.reduce((sum, e) => sum + e.amount, 0),
+      parts: expenses.map(e => ({ transactionId: e.transactionId, category: e.category, amount: e.amount }))
+    };
+  } catch (error) {
+    Logger.log("Error in saveSplitExpense: " + error.toString());
+    return { success: false, error: error.toString() };
+  } finally {
+    releaseWriteLock_();
+  }
+
+  result.alerts = isWriteLockHeld_() ? [] : checkCategoryAlerts_([split.date]);
+  return result;
+}
+
+/**
+ * Original currency of a purchase being split, from its unsplit row or its parts
+ * @param {Sheet} sh - Expenses sheet
+ * @param {string} parentId - Parent transaction ID
+ * @return {Object|null} {originalCurrency, originalAmount (whole purchase), fxRate},
+ *   or null for a base-currency purchase
+ */
+function getSplitOriginalCurrency_(sh, parentId) {
+  const fxById = getFxColumnsById_(sh, 5, 4, 12);
+  if (fxById[parentId]) return fxById[parentId];
+
+  const parts = Object.keys(fxById).filter(id => getSplitParentId(id) === parentId);
+  if (parts.length === 0) return null;
+
+  return {
+    originalCurrency: fxById[parts[0]].originalCurrency,
+    originalAmount: Math.round(parts.reduce((sum, id) => sum + fxById[id].originalAmount, 0) * 100) / 100,
+    fxRate: fxById[parts[0]].fxRate
+  };
+}
+
+/**
+ * Clear every part of a split expense
+ * @param {string} parentId - Parent transaction ID (or the ID of any part)
+ * @return {Object} Result with the number of cleared parts
+ */
+function clearSplitExpense(parentId) {
+  if (!acquireWriteLock_("clearSplitExpense")) return writeRetryResult_();
+
+  try {
+    const sh = getBudgetSheet("Expenses");
+    if (!sh) return { success: false, error: "Expenses sheet missing" };
+
+    const parent = getSplitParentId(parentId) || (parentId || "").toString();
+    const startRow = 5;
+    const lastRow = Math.max(sh.getLastRow(), startRow);
+    const ids = sh.getRange(startRow, 4, lastRow - startRow + 1).getValues().flat();
+
+    const rows = [];
+    ids.forEach((id, i) => {
+      if (id && getSplitParentId(id) === parent) rows.push(startRow + i);
+    });
+
+    if (rows.length === 0) {
+      return { success: false, error: "Split expense not found: " + parent };
+    }
+
+    const trashed = moveRowsToTrash_("expenses", sh, rows);
+    rows.forEach(row => sh.getRange(row, 4, 1, 12).clearContent());
+    logRowDeletes_("clearSplitExpense", "expenses", trashed);
+
+    updateDataTimestamp('masterData');
+    return {
+      success: true,
+      parentId: parent,
+      cleared: rows.length,
+      trashIds: trashed.map(t => t.trashId)
+    };
+  } catch (error) {
+    Logger.log("Error in clearSplitExpense: " + error.toString());
+    return { success: false, error: error.toString() };
+  } finally {
+    releaseWriteLock_();
   }
 }
 
@@ -0,0 +1,394 @@
+/**
+ * Trash bin for deleted rows
+ * Deleting an expense, income, recurring item or net worth entry copies its row
+ * to the hidden "Trash" sheet before the row is cleared, so it can be restored
+ * to its original sheet with its original ID. Items older than the
+ * trashRetentionDays setting (default 30) are purged whenever the trash is
+ * written to or read.
+ *
+ * Trash sheet columns:
+ *   A Trash ID | B Deleted at | C Source | D Item ID | E Name | F Amount | G Batch | H Row (JSON)
+ */
+
+const TRASH_SHEET_NAME = "Trash";
+const TRASH_DEFAULT_RETENTION_DAYS = 30;
+const TRASH_HEADERS = ["Trash ID", "Deleted at", "Source", "Item ID", "Name", "Amount", "Batch", "Row"];
+
+// Where each kind of row lives; nameIndex and amountIndex are offsets within the row
+const TRASH_SOURCES = {
+  expenses: { sheet: "Expenses", firstRow: 5, firstColumn: 4, width: 12, nameIndex: 4, amountIndex: 2, timestamps: ["masterData"] },
+  income: { sheet: "Income", firstRow: 5, firstColumn: 4, width: 10, nameIndex: 3, amountIndex: 2, timestamps: ["masterData", "income"] },
+  recurring: { sheet: "Recurring", firstRow: 6, firstColumn: 3, width: 12, nameIndex: 2, amountIndex: 6, timestamps: ["masterData", "recurring"] },
+  netWorth: { sheet: "Net Worth", firstRow: 37, firstColumn: 3, width: 12, nameIndex: 4, amountIndex: 5, timestamps: ["netWorth"] }
+};
+
+/**
+ * Get the items in the trash, newest first (expired items are purged first)
+ * @return {Object} Result with items and the retention period in days
+ */
+function getTrashItems() {
+  try {
+    const sheet = getTrashSheet_(false);
+    const retentionDays = getTrashRetentionDays_();
+    if (!sheet) {
+      return { success: true, items: [], retentionDays: retentionDays };
+    }
+
+    purgeTrash_(sheet, retentionDays);
+
+    const items = readTrashRows_(sheet).map(entry => ({
+      trashId: entry.trashId,
+      deletedAt: entry.deletedAt ? entry.deletedAt.toISOString() : "",
+      source: entry.source,
+      id: entry.id,
+      name: entry.name,
+      amount: entry.amount,
+      batch: entry.batch
+    }));
+    items.sort((a, b) => (b.deletedAt > a.deletedAt ? 1 : b.deletedAt < a.deletedAt ? -1 : 0));
+
+    return { success: true, items: items, retentionDays: retentionDays };
+  } catch (error) {
+    Logger.log("Error in getTrashItems: " + error.toString());
+    return { success: false, error: error.toString() };
+  }
+}
+
+/**
+ * Put trashed rows back on their original sheets with their original IDs
+ * An item is not restored if a row with its ID exists again.
+ * @param {Array} trashIds - Trash IDs to restore
+ * @return {Object} Result with restored items ({trashId, source, id, name, expense})
+ *   and failed items ({trashId, error})
+ */
+function restoreFromTrash(trashIds) {
+  if (!acquireWriteLock_("restoreFromTrash")) return writeRetryResult_();
+
+  try {
+    if (!Array.isArray(trashIds) || trashIds.length === 0) {
+      return { success: false, error: "No items to restore" };
+    }
+
+    const trashSheet = getTrashSheet_(false);
+    if (!trashSheet) {
+      return { success: false, error: "Trash is empty" };
+    }
+
+    const entries = readTrashRows_(trashSheet);
+    const byTrashId = {};
+    entries.forEach(entry => { byTrashId[entry.trashId] = entry; });
+
+    const restored = [];
+    const failed = [];
+    const sheetState = {};
+
+    trashIds.forEach(trashId => {
+      const entry = byTrashId[trashId];
+      const config = entry && TRASH_SOURCES[entry.source];
+      if (!entry || !config) {
+        failed.push({ trashId: trashId, error: "Item is no longer in the trash" });
+        return;
+      }
+      if (entry.cells.length === 0 || entry.cells.length > config.width) {
+        failed.push({ trashId: trashId, error: "Trash entry is damaged and can't be restored" });
+        return;
+      }
+      // Rows trashed before a column was added to their sheet (like Expenses O) are shorter
+      while (entry.cells.length < config.width) entry.cells.push("");
+
+      // Read each source sheet once and remember which rows this call has filled
+      if (!sheetState[entry.source]) {
+        sheetState[entry.source] = readTrashTarget_(config);
+      }
+      const state = sheetState[entry.source];
+
+      if (entry.id && state.ids[entry.id]) {
+        failed.push({ trashId: trashId, error: `${entry.name || entry.id} already exists` });
+        return;
+      }
+
+      const row = state.freeRows.length > 0 ? state.freeRows.shift() : state.nextRow++;
+      state.sheet.getRange(row, config.firstColumn, 1, config.width).setValues([entry.cells]);
+      if (entry.id) state.ids[entry.id] = true;
+      state.restored = true;
+
+      restored.push({ trashId: trashId, source: entry.source, id: entry.id, name: entry.name, row: entry.row });
+    });
+
+    // Remove restored entries from the trash, bottom-up so row numbers stay valid
+    deleteTrashRows_(trashSheet, restored.map(item => item.row));
+
+    Object.keys(sheetState).forEach(source => {
+      if (sheetState[source].restored) {
+        TRASH_SOURCES[source].timestamps.forEach(type => updateDataTimestamp(type));
+      }
+    });
+
+    // Restored expenses as the mirror shows them, so clients can update their caches
+    const expenseIds = restored.filter(item => item.source === "expenses" && item.id).map(item => item.id);
+    if (expenseIds.length > 0) {
+      SpreadsheetApp.flush();
+      const current = getExpensesById_(expenseIds);
+      restored.forEach(item => {
+        if (item.source === "expenses") item.expense = current[item.id] || null;
+      });
+    }
+    restored.forEach(item => { delete item.row; });
+
+    Object.keys(TRASH_SOURCES).forEach(source => {
+      const items = restored.filter(item => item.source === source);
+      if (items.length === 0) return;
+
+      const after = {};
+      items.forEach(item => { after[item.id] = auditRowObject_(source, byTrashId[item.trashId].cells); });
+      logAudit_("restoreFromTrash", source, items.map(item => item.id), null, after);
+    });
+
+    return { success: true, restored: restored, failed: failed };
+  } catch (error) {
+    Logger.log("Error in restoreFromTrash: " + error.toString());
+    return { success: false, error: error.toString() };
+  } finally {
+    releaseWriteLock_();
+  }
+}
+
+/**
+ * Permanently delete items from the trash
+ * @param {Array} trashIds - Trash IDs to delete
+ * @return {Object} Result with the number of deleted items
+ */
+function deleteFromTrash(trashIds) {
+  if (!acquireWriteLock_("deleteFromTrash")) return writeRetryResult_();
+
+  try {
+    if (!Array.isArray(trashIds) || trashIds.length === 0) {
+      return { success: false, error: "No items selected" };
+    }
+
+    const sheet = getTrashSheet_(false);
+    if (!sheet) return { success: true, deleted: 0 };
+
+    const wanted = {};
+    trashIds.forEach(id => { wanted[id] = true; });
+
+    const entries = readTrashRows_(sheet).filter(entry => wanted[entry.trashId]);
+    const rows = entries.map(entry => entry.row);
+    deleteTrashRows_(sheet, rows);
+
+    if (entries.length > 0) {
+      logAudit_("deleteFromTrash", "trash", entries.map(entry => entry.id || entry.trashId), null, null);
+    }
+
+    return { success: true, deleted: rows.length };
+  } catch (error) {
+    Logger.log("Error in deleteFromTrash: " + error.toString());
+    return { success: false, error: error.toString() };
+  } finally {
+    releaseWriteLock_();
+  }
+}
+
+/**
+ * Permanently delete everything in the trash
+ * @return {Object} Result with the number of deleted items
+ */
+function emptyTrash() {
+  if (!acquireWriteLock_("emptyTrash")) return writeRetryResult_();
+
+  try {
+    const sheet = getTrashSheet_(false);
+    if (!sheet) return { success: true, deleted: 0 };
+
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) return { success: true, deleted: 0 };
+
+    sheet.deleteRows(2, lastRow - 1);
+    logAudit_("emptyTrash", "trash", [], { items: lastRow - 1 }, null);
+    return { success: true, deleted: lastRow - 1 };
+  } catch (error) {
+    Logger.log("Error in emptyTrash: " + error.toString());
+    return { success: false, error: error.toString() };
+  } finally {
+    releaseWriteLock_();
+  }
+}
+
+/**
+ * Copy rows to the trash before they are cleared
+ * Called by the clear functions; throws if the copy fails so nothing is cleared.
+ * @param {string} source - Key in TRASH_SOURCES
+ * @param {Sheet} sheet - Source sheet
+ * @param {Array} rowIndexes - Sheet rows to copy
+ * @return {Array} [{trashId, id, cells}] in the order of rowIndexes
+ */
+function moveRowsToTrash_(source, sheet, rowIndexes) {
+  const config = TRASH_SOURCES[source];
+  if (!config) throw new Error("Unknown trash source: " + source);
+  if (!rowIndexes || rowIndexes.length === 0) return [];
+
+  const now = new Date();
+  const batch = rowIndexes.length > 1 ? `batch-${now.getTime()}` : "";
+
+  const trashRows = [];
+  const trashed = rowIndexes.map((rowIndex, i) => {
+    const range = sheet.getRange(rowIndex, config.firstColumn, 1, config.width);
+    const values = range.getValues()[0];
+    const formulas = range.getFormulas()[0];
+
+    // Keep formulas (the expense category) rather than what they show
+    const cells = values.map((value, c) => formulas[c] ? formulas[c] : value);
+    const id = (values[0] || "").toString();
+    const trashId = `trash-${now.getTime()}-${i}-${Math.random().toString(36).substr(2, 5)}`;
+
+    trashRows.push([
+      trashId,
+      now,
+      source,
+      id,
+      (values[config.nameIndex] || "").toString(),
+      parseFloat(values[config.amountIndex]) || 0,
+      batch,
+      JSON.stringify(cells.map(encodeTrashCell_))
+    ]);
+    return { trashId: trashId, id: id, cells: values };
+  });
+
+  const trashSheet = getTrashSheet_(true);
+  const firstFreeRow = trashSheet.getLastRow() + 1;
+  const missingRows = firstFreeRow + trashRows.length - 1 - trashSheet.getMaxRows();
+  if (missingRows > 0) {
+    trashSheet.insertRowsAfter(trashSheet.getMaxRows(), missingRows);
+  }
+  trashSheet.getRange(firstFreeRow, 1, trashRows.length, TRASH_HEADERS.length).setValues(trashRows);
+
+  try {
+    purgeTrash_(trashSheet, getTrashRetentionDays_());
+  } catch (error) {
+    // Purging can wait until the next time; the deletion itself succeeded
+    Logger.log("Error purging trash: " + error.toString());
+  }
+
+  return trashed;
+}
+
+/**
+ * Remove trash entries older than the retention period
+ * @return {number} Number of purged entries
+ */
+function purgeTrash_(sheet, retentionDays) {
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  const expired = readTrashRows_(sheet)
+    .filter(entry => entry.deletedAt && entry.deletedAt.getTime() < cutoff)
+    .map(entry => entry.row);
+
+  deleteTrashRows_(sheet, expired);
+  return expired.length;
+}
+
+/**
+ * Retention period from the user settings (K8), 1-365 days
+ */
+function getTrashRetentionDays_() {
+  const result = getUserSettings();
+  const days = result.success && result.settings ? parseInt(result.settings.trashRetentionDays, 10) : NaN;
+  return isNaN(days) ? TRASH_DEFAULT_RETENTION_DAYS : Math.min(Math.max(days, 1), 365);
+}
+
+/**
+ * The hidden Trash sheet, created on first use when create is true
+ * @return {Sheet|null} Trash sheet, or null if it doesn't exist yet
+ */
+function getTrashSheet_(create) {
+  const ss = getBudgetSheet().getParent();
+  let sheet = ss.getSheetByName(TRASH_SHEET_NAME);
+
+  if (!sheet && create) {
+    sheet = ss.insertSheet(TRASH_SHEET_NAME);
+    sheet.getRange(1, 1, 1, TRASH_HEADERS.length).setValues([TRASH_HEADERS]).setFontWeight("bold");
+    sheet.hideSheet();
+  }
+  return sheet;
+}
+
+/**
+ * All trash entries with their sheet row and decoded cells
+ */
+function readTrashRows_(sheet) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) return [];
+
+  const data = sheet.getRange(2, 1, lastRow - 1, TRASH_HEADERS.length).getValues();
+  const entries = [];
+  data.forEach((row, i) => {
+    if (!row[0]) return;
+
+    let cells = [];
+    try {
+      cells = JSON.parse(row[7] || "[]").map(decodeTrashCell_);
+    } catch (e) {
+      Logger.log(`Unreadable trash row ${i + 2}: ${e.toString()}`);
+    }
+
+    const deletedAt = row[1] instanceof Date ? row[1] : new Date(row[1]);
+    entries.push({
+      row: i + 2,
+      trashId: row[0].toString(),
+      deletedAt: isNaN(deletedAt.getTime()) ? null : deletedAt,
+      source: (row[2] || "").toString(),
+      id: (row[3] || "").toString(),
+      name: (row[4] || "").toString(),
+      amount: parseFloat(row[5]) || 0,
+      batch: (row[6] || "").toString(),
+      cells: cells
+    });
+  });
+  return entries;
+}
+
+/**
+ * Delete trash rows, bottom-up and in contiguous runs
+ */
+function deleteTrashRows_(sheet, rows) {
+  const sorted = rows.slice().sort((a, b) => b - a);
+  let i = 0;
+  while (i < sorted.length) {
+    let start = sorted[i];
+    let count = 1;
+    while (i + count < sorted.length && sorted[i + count] === start - 1) {
+      start--;
+      count++;
+    }
+    sheet.deleteRows(start, count);
+    i += count;
+  }
+}
+
+/**
+ * Rows on a source sheet: existing IDs, empty rows to reuse, and the next row after the data
+ */
+function readTrashTarget_(config) {
+  const sheet = getBudgetSheet(config.sheet);
+  const lastRow = Math.max(sheet.getLastRow(), config.firstRow - 1);
+  const data = lastRow >= config.firstRow
+    ? sheet.getRange(config.firstRow, config.firstColumn, lastRow - config.firstRow + 1, config.width).getValues()
+    : [];
+
+  const ids = {};
+  const freeRows = [];
+  data.forEach((row, i) => {
+    if (row[0]) ids[row[0].toString()] = true;
+    if (row.every(cell => cell === "" || cell === null)) freeRows.push(config.firstRow + i);
+  });
+
+  return { sheet: sheet, ids: ids, freeRows: freeRows, nextRow: lastRow + 1, restored: false };
+}
+
+// Dates don't survive JSON, so they are stored as {date: ISO string}
+function encodeTrashCell_(value) {
+  return value instanceof Date ? { date: value.toISOString() } : value;
+}
+
+function decodeTrashCell_(value) {
+  return value && typeof value === "object" && value.date ? new Date(value.date) : value;
+}